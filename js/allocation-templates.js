@@ -0,0 +1,139 @@
+/**
+ * Allocation Templates
+ * Named, reusable monthly allocations that can be assigned to months ahead.
+ *
+ * A template holds either fixed per-member amounts or a split policy (see
+ * SplitPolicies), which is worked out against each month's target when used.
+ *
+ * Config:
+ * - allocationTemplates: [{ id, name, amounts: { memberName: amount } | null, policy: object | null }]
+ * - templateAssignments: { 'YYYY-MM': templateId }
+ */
+const AllocationTemplates = {
+  getAll(config) {
+    return config.allocationTemplates || [];
+  },
+
+  get(config, id) {
+    return this.getAll(config).find(t => t.id === id) || null;
+  },
+
+  /**
+   * Template assigned to a month, if any
+   */
+  getAssigned(config, month) {
+    const id = config.templateAssignments?.[month];
+    return id ? this.get(config, id) : null;
+  },
+
+  /**
+   * Add a template (or replace one with the same name)
+   * @returns {object} The saved template
+   */
+  save({ name, amounts = null, policy = null }) {
+    const config = Store.getConfig();
+    const templates = this.getAll(config);
+    const existing = templates.find(t => t.name.toLowerCase() === name.toLowerCase());
+    const template = { id: existing?.id || LinkUtils.generateId(), name, amounts, policy };
+
+    Store.updateConfig({
+      allocationTemplates: existing
+        ? templates.map(t => t.id === existing.id ? template : t)
+        : [...templates, template]
+    });
+    return template;
+  },
+
+  /**
+   * Delete a template and its month assignments
+   */
+  remove(id) {
+    const config = Store.getConfig();
+    const assignments = { ...config.templateAssignments };
+    Object.keys(assignments).forEach(month => {
+      if (assignments[month] === id) delete assignments[month];
+    });
+    Store.updateConfig({
+      allocationTemplates: this.getAll(config).filter(t => t.id !== id),
+      templateAssignments: assignments
+    });
+  },
+
+  /**
+   * Assign a template to every month in a range (null clears the range)
+   * @param {string|null} templateId
+   * @param {string} fromMonth - 'YYYY-MM'
+   * @param {string} toMonth - 'YYYY-MM', inclusive
+   * @returns {string[]} The months changed
+   */
+  assign(templateId, fromMonth, toMonth) {
+    const config = Store.getConfig();
+    const assignments = { ...config.templateAssignments };
+    const months = this.monthRange(fromMonth, toMonth);
+
+    months.forEach(month => {
+      if (templateId) {
+        assignments[month] = templateId;
+      } else {
+        delete assignments[month];
+      }
+    });
+    Store.updateConfig({ templateAssignments: assignments });
+    return months;
+  },
+
+  /**
+   * Per-member amounts a template gives for a month
+   * @param {object} template
+   * @param {Array} members - Config members
+   * @param {number} target - The month's target total (used by policy templates)
+   * @returns {Object|null} { memberName: amount }
+   */
+  resolve(template, members, target) {
+    if (template.amounts) {
+      const allocations = {};
+      members.forEach(m => {
+        if (template.amounts[m.name] > 0) allocations[m.name] = template.amounts[m.name];
+      });
+      return allocations;
+    }
+    if (template.policy) {
+      return SplitPolicies.allocate(SplitPolicies.getPolicy({ splitPolicy: template.policy }), members, target);
+    }
+    return null;
+  },
+
+  /**
+   * Short description, e.g. "Anna €600.00, Ben €400.00" or "Equal split"
+   */
+  describe(template, members) {
+    if (template.amounts) {
+      return members
+        .filter(m => template.amounts[m.name] > 0)
+        .map(m => `${m.name} ${Utils.formatCurrency(template.amounts[m.name])}`)
+        .join(', ');
+    }
+    const policy = SplitPolicies.getPolicy({ splitPolicy: template.policy });
+    return `${SplitPolicies.TYPES[policy.type]} (${SplitPolicies.describe(policy, members)})`;
+  },
+
+  /**
+   * Months from one to another, inclusive
+   * @returns {string[]} 'YYYY-MM' strings (empty if `to` is before `from`)
+   */
+  monthRange(fromMonth, toMonth) {
+    const months = [];
+    let [year, month] = fromMonth.split('-').map(Number);
+    const [toYear, toMonthNum] = toMonth.split('-').map(Number);
+
+    while (year < toYear || (year === toYear && month <= toMonthNum)) {
+      months.push(`${year}-${String(month).padStart(2, '0')}`);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return months;
+  }
+};
@@ -139,10 +139,17 @@ const Analytics = {
       case 'ytd':
         start = new Date(now.getFullYear(), 0, 1);
         break;
-      case 'all':
-        // Limit to 5 years to avoid storage quota issues
-        start = new Date(now.getFullYear() - 5, now.getMonth(), 1);
+      case 'all': {
+        // Everything since the shared budget's first month
+        const firstMonth = App.state.budgets.find(b => b.id === Store.getConfig().sharedBudgetId)?.first_month;
+        if (firstMonth) {
+          const [year, month] = firstMonth.split('-').map(Number);
+          start = new Date(year, month - 1, 1);
+        } else {
+          start = new Date(now.getFullYear() - 10, 0, 1);
+        }
         break;
+      }
       default:
         start = new Date(now.getFullYear(), now.getMonth() - 5, 1);
     }
@@ -505,7 +512,6 @@ const Analytics = {
   renderAllocationsMonthly() {
     const { members } = this.state.data;
     const sortedMonths = this.getAllSortedMonths();
-    const colors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
 
     if (sortedMonths.length === 0) {
       this.elements.allocationsContainer.innerHTML = '<p class="text-muted">No allocation data for the selected time range.</p>';
@@ -520,7 +526,7 @@ const Analytics = {
     const memberSummaryHtml = members.map((m, i) => {
       const pct = totalContributed > 0 ? (m.totals.contributed / totalContributed * 100) : 0;
       return `
-        <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails('${Utils.escapeHtml(m.member.name)}', 'contributed')">
+        <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails(${Utils.escapeJsString(m.member.name)}, 'contributed')">
           <span class="analytics-summary-label">${Utils.escapeHtml(m.member.name)}</span>
           <span class="analytics-summary-value text-success">${Utils.formatCurrency(YnabClient.fromMilliunits(m.totals.contributed))}</span>
           <span class="analytics-summary-sub">${pct.toFixed(0)}% of total</span>
@@ -536,7 +542,7 @@ const Analytics = {
         return {
           name: m.member.name,
           value: md?.contributed || 0,
-          color: colors[i % colors.length]
+          color: Charts.memberColor(i)
         };
       })
     }));
@@ -568,7 +574,6 @@ const Analytics = {
   renderAllocationsCumulative() {
     const { members } = this.state.data;
     const sortedMonths = this.getAllSortedMonths();
-    const colors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
 
     if (sortedMonths.length === 0) {
       this.elements.allocationsContainer.innerHTML = '<p class="text-muted">No allocation data for the selected time range.</p>';
@@ -640,7 +645,6 @@ const Analytics = {
   renderExpensesMonthly() {
     const { members, sharedTransactions, sharedCategoryBreakdown } = this.state.data;
     const sortedMonths = this.getAllSortedMonths();
-    const colors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
     const catColors = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'];
 
     // Group expenses by month from shared transactions
@@ -656,7 +660,7 @@ const Analytics = {
 
     // Per-member spending summary
     const memberSpendingHtml = members.map((m, i) => `
-      <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails('${Utils.escapeHtml(m.member.name)}', 'spent')">
+      <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails(${Utils.escapeJsString(m.member.name)}, 'spent')">
         <span class="analytics-summary-label">${Utils.escapeHtml(m.member.name)}</span>
         <span class="analytics-summary-value text-danger">${Utils.formatCurrency(YnabClient.fromMilliunits(m.totals.spent))}</span>
       </div>
@@ -677,7 +681,7 @@ const Analytics = {
     const catTotal = sortedCategories.reduce((sum, c) => sum + c.amount, 0);
     const categoryRows = sortedCategories.map((cat, i) => {
       const pct = catTotal > 0 ? (cat.amount / catTotal * 100) : 0;
-      const color = catColors[i % catColors.length];
+      const color = Charts.getColor(i, catColors);
       return `
         <tr>
           <td><span class="category-dot" style="background: ${color}"></span> ${Utils.escapeHtml(cat.name)}</td>
@@ -806,7 +810,6 @@ const Analytics = {
   renderBalancingMonthly() {
     const { members } = this.state.data;
     const sortedMonths = this.getAllSortedMonths();
-    const colors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
 
     // Summary stats
     const totalTransfersIn = members.reduce((sum, m) => sum + m.totals.transfersIn, 0);
@@ -816,7 +819,7 @@ const Analytics = {
     const memberBalancingHtml = members.map((m, i) => {
       const net = m.totals.netTransfers;
       return `
-        <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails('${Utils.escapeHtml(m.member.name)}', 'transfers')">
+        <div class="analytics-summary-stat clickable" onclick="Analytics.showTxnDetails(${Utils.escapeJsString(m.member.name)}, 'transfers')">
           <span class="analytics-summary-label">${Utils.escapeHtml(m.member.name)}</span>
           <span class="analytics-summary-value ${net >= 0 ? 'text-success' : 'text-danger'}">${Utils.formatCurrency(YnabClient.fromMilliunits(net))}</span>
           <span class="analytics-summary-sub">net</span>
@@ -833,7 +836,7 @@ const Analytics = {
         return {
           name: m.member.name,
           value: (md?.transfersOut || 0),
-          color: colors[i % colors.length]
+          color: Charts.memberColor(i)
         };
       })
     }));
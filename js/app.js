@@ -9,14 +9,17 @@ const App = {
     budgetDetails: {},
     settingsOpen: false,
     settingsMode: null, // 'setup' or 'settings'
+    configErrors: [],
     initialLoadComplete: false
   },
 
   elements: {},
 
-  init() {
+  async init() {
     // Initialize reactive store first (loads config and cached transactions)
-    Store.init();
+    await Store.init();
+    // Then listen for Store changes made in other tabs
+    TabSync.init();
 
     this.cacheElements();
     this.initModules();
@@ -36,6 +39,12 @@ const App = {
       nav: document.querySelector('.nav'),
       main: document.querySelector('.main'),
 
+      // API quota indicator
+      quotaStatus: document.getElementById('quota-status'),
+
+      // Offline outbox indicator
+      outboxStatus: document.getElementById('outbox-status'),
+
       // Initial Loading
       initialLoading: document.getElementById('initial-loading'),
       initialLoadingText: document.querySelector('#initial-loading p'),
@@ -62,12 +71,18 @@ const App = {
 
       // Setup/Binding (in settings panel)
       bindingSection: document.getElementById('binding-section'),
+      configValidation: document.getElementById('config-validation'),
       sharedBudgetSelect: document.getElementById('shared-budget'),
       membersConfig: document.getElementById('members-config'),
       membersList: document.getElementById('members-list'),
       addMemberBtn: document.getElementById('btn-add-member'),
       consistencyCutoffInput: document.getElementById('consistency-cutoff'),
+      matchingInputs: document.querySelectorAll('[data-matching-setting]'),
       consistencySettingsSection: document.getElementById('consistency-settings-section'),
+      backupSection: document.getElementById('backup-section'),
+      exportConfigBtn: document.getElementById('btn-export-config'),
+      importConfigBtn: document.getElementById('btn-import-config'),
+      importConfigFile: document.getElementById('import-config-file'),
 
       // Overview Screen (new dashboard)
       overviewNotConfigured: document.getElementById('overview-not-configured'),
@@ -79,10 +94,14 @@ const App = {
       transactionsLoading: document.getElementById('transactions-loading'),
       transactionsSummary: document.getElementById('transactions-summary'),
       refreshTransactionsBtn: document.getElementById('btn-refresh-transactions'),
+      autoLinkBtn: document.getElementById('btn-auto-link'),
       memberTabs: document.getElementById('member-tabs'),
       linkingModeBanner: document.getElementById('linking-mode-banner'),
       cancelLinkingBtn: document.getElementById('btn-cancel-linking'),
       personalTransactions: document.getElementById('personal-transactions'),
+      personalBulkActions: document.getElementById('personal-bulk-actions'),
+      copySelectedBtn: document.getElementById('btn-copy-selected'),
+      clearSelectionBtn: document.getElementById('btn-clear-selection'),
       personalBalances: document.getElementById('personal-balances'),
       sharedTransactions: document.getElementById('shared-transactions'),
       sharedBalances: document.getElementById('shared-balances'),
@@ -102,6 +121,7 @@ const App = {
       balancingMemo: document.getElementById('balancing-memo'),
       balancingPreview: document.getElementById('balancing-preview'),
       settlePhase2: document.getElementById('settle-phase-2'),
+      settlePlan: document.getElementById('settle-plan'),
       createBalancingBtn: document.getElementById('btn-create-balancing'),
 
       // Monthly Screen (allocation planner)
@@ -156,11 +176,15 @@ const App = {
       linkingModeBanner: this.elements.linkingModeBanner,
       cancelLinkingBtn: this.elements.cancelLinkingBtn,
       personalTransactions: this.elements.personalTransactions,
+      personalBulkActions: this.elements.personalBulkActions,
+      copySelectedBtn: this.elements.copySelectedBtn,
+      clearSelectionBtn: this.elements.clearSelectionBtn,
       personalBalances: this.elements.personalBalances,
       sharedTransactions: this.elements.sharedTransactions,
       sharedBalances: this.elements.sharedBalances,
       linkedContainer: this.elements.linkedContainer,
       refreshConsistencyBtn: this.elements.refreshTransactionsBtn,
+      autoLinkBtn: this.elements.autoLinkBtn,
       // Settle Up Modal elements
       settleModal: this.elements.settleModal,
       openSettleBtn: this.elements.openSettleBtn,
@@ -176,6 +200,7 @@ const App = {
       balancingMemo: this.elements.balancingMemo,
       balancingPreview: this.elements.balancingPreview,
       settlePhase2: this.elements.settlePhase2,
+      settlePlan: this.elements.settlePlan,
       createBalancingBtn: this.elements.createBalancingBtn
     });
 
@@ -240,12 +265,35 @@ const App = {
       btn.addEventListener('click', () => this.navigateTo(btn.dataset.screen));
     });
 
+    // API quota indicator in the header
+    YnabClient.onQuotaChange(state => this.renderQuotaStatus(state));
+    this.renderQuotaStatus(YnabClient.getQuotaState());
+
+    // Offline outbox indicator in the header (click to retry now)
+    Outbox.onChange(state => this.renderOutboxStatus(state));
+    Outbox.init();
+    this.elements.outboxStatus?.addEventListener('click', () => Outbox.replay());
+
     // Consistency cutoff date
     this.elements.consistencyCutoffInput?.addEventListener('change', () => {
       Store.updateConfig({ consistencyCutoffDate: this.elements.consistencyCutoffInput.value });
       Utils.showToast('Cutoff date saved', 'success');
     });
 
+    // Configuration export / import
+    this.elements.exportConfigBtn?.addEventListener('click', () => ConfigTransfer.exportToFile());
+    this.elements.importConfigBtn?.addEventListener('click', () => this.elements.importConfigFile.click());
+    this.elements.importConfigFile?.addEventListener('change', () => {
+      const file = this.elements.importConfigFile.files[0];
+      this.elements.importConfigFile.value = '';
+      if (file) ConfigTransfer.importFromFile(file);
+    });
+
+    // Matching scorer settings
+    this.elements.matchingInputs.forEach(input => {
+      input.addEventListener('change', () => this.saveMatchingSettings());
+    });
+
     // Close settings modal when clicking backdrop (settings mode only)
     this.elements.settingsModal?.addEventListener('click', (e) => {
       if (e.target === this.elements.settingsModal && this.state.settingsMode === 'settings') {
@@ -407,12 +455,21 @@ const App = {
 
     try {
       YnabClient.init(apiKey);
-      await YnabClient.testConnection();
+      try {
+        await YnabClient.testConnection();
+      } catch (error) {
+        // Saved key but no network: start offline from cached data
+        if (!silent || error.status !== 0) throw error;
+      }
 
       Storage.setApiKey(apiKey);
 
       this.state.connected = true;
-      this.setConnectionStatus('connected', 'Connected');
+      if (Outbox.isOffline()) {
+        this.setConnectionStatus('loading', 'Offline');
+      } else {
+        this.setConnectionStatus('connected', 'Connected');
+      }
       this.elements.connectBtn.disabled = true;
       this.elements.disconnectBtn.disabled = false;
 
@@ -427,6 +484,12 @@ const App = {
       // Initialize the Overview screen (default landing page)
       Overview.initScreen();
 
+      // Send writes queued in a previous offline session
+      Outbox.replay();
+
+      // Keep data fresh while the app stays open
+      DataService.startBackgroundSync();
+
     } catch (error) {
       this.setConnectionStatus('disconnected', 'Connection Failed');
       this.elements.connectBtn.disabled = false;
@@ -437,9 +500,11 @@ const App = {
   },
 
   async disconnect() {
+    const pending = Outbox.count();
     const confirmed = await Utils.confirm({
       title: 'Disconnect',
-      message: 'Disconnect from YNAB? This will clear your API key and all cached data.',
+      message: 'Disconnect from YNAB? This will clear your API key and all cached data.' +
+        (pending > 0 ? ` ${pending} queued change${pending !== 1 ? 's' : ''} not yet sent to YNAB will be lost.` : ''),
       confirmText: 'Disconnect',
       cancelText: 'Cancel',
       danger: true
@@ -447,7 +512,9 @@ const App = {
     if (!confirmed) return;
 
     Storage.clearApiKey();
-    Storage.clearCache();
+    DataService.stopBackgroundSync();
+    DataService.clearAllCaches();
+    Outbox.clear();
     YnabClient.apiKey = null;
 
     this.state.connected = false;
@@ -460,6 +527,7 @@ const App = {
     this.elements.disconnectBtn.disabled = true;
 
     this.elements.bindingSection.style.display = 'none';
+    this.elements.backupSection.style.display = 'none';
 
     // Reset all screens to not-configured state
     if (this.elements.overviewNotConfigured) {
@@ -494,6 +562,14 @@ const App = {
       config.members.every(m => m.budgetId && m.sharedCategoryId && m.contributionAccountId);
   },
 
+  /**
+   * Re-initialize the visible screen (e.g. after queued writes were synced)
+   */
+  refreshActiveScreen() {
+    const active = Array.from(this.elements.navBtns).find(btn => btn.classList.contains('active'));
+    if (active && this.isConfigured()) this.navigateTo(active.dataset.screen);
+  },
+
   // Navigation
   navigateTo(screenName) {
     this.elements.navBtns.forEach(btn => {
@@ -518,7 +594,8 @@ const App = {
   // Budgets
   async loadBudgets() {
     try {
-      let budgets = Storage.getCachedBudgets();
+      // While offline, any cached copy beats none
+      let budgets = Storage.getCachedBudgets(Outbox.isOffline() ? Infinity : undefined);
 
       if (!budgets) {
         budgets = await YnabClient.getBudgets();
@@ -529,12 +606,14 @@ const App = {
       this.populateBudgetSelects(budgets);
       this.elements.bindingSection.style.display = 'block';
       this.elements.consistencySettingsSection.style.display = 'block';
+      this.elements.backupSection.style.display = 'block';
 
       // Restore cutoff date
       const config = Store.getConfig();
       if (config.consistencyCutoffDate && this.elements.consistencyCutoffInput) {
         this.elements.consistencyCutoffInput.value = config.consistencyCutoffDate;
       }
+      this.restoreMatchingSettings();
 
       await Setup.restoreConfig(budgets, this.state.budgetDetails);
 
@@ -543,6 +622,98 @@ const App = {
     }
   },
 
+  /**
+   * Show remaining YNAB API requests for the current hour
+   */
+  renderQuotaStatus(state) {
+    const el = this.elements.quotaStatus;
+    if (!el) return;
+
+    el.style.display = state.used > 0 ? 'flex' : 'none';
+    el.classList.toggle('low', state.remaining <= 40 && state.remaining > 10);
+    el.classList.toggle('critical', state.remaining <= 10);
+    el.textContent = `${state.remaining}/${state.limit} API`;
+
+    const resetTime = state.resetsAt
+      ? new Date(state.resetsAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+      : null;
+    el.title = `${state.remaining} of ${state.limit} YNAB requests left this hour` +
+      (resetTime ? ` — next one frees up at ${resetTime}` : '') +
+      (state.waitingUntil ? '. Requests are waiting until then.' : '');
+    if (state.waitingUntil) el.textContent += ' · waiting';
+  },
+
+  /**
+   * Show offline state and the number of queued writes
+   */
+  renderOutboxStatus({ pending, offline, syncing }) {
+    const el = this.elements.outboxStatus;
+    if (!el) return;
+
+    el.style.display = pending > 0 || offline ? 'flex' : 'none';
+    el.classList.toggle('offline', offline);
+
+    const pendingText = `${pending} change${pending !== 1 ? 's' : ''} pending`;
+    if (syncing) {
+      el.textContent = `Syncing ${pendingText}…`;
+    } else if (offline) {
+      el.textContent = pending > 0 ? `Offline · ${pendingText}` : 'Offline';
+    } else {
+      el.textContent = pendingText;
+    }
+    el.title = pending > 0
+      ? 'Changes made offline are sent to YNAB in order when the connection returns. Click to retry now.'
+      : 'No connection to YNAB. Changes will be queued and sent later.';
+
+    if (this.state.connected) {
+      this.setConnectionStatus(offline ? 'loading' : 'connected', offline ? 'Offline' : 'Connected');
+    }
+  },
+
+  /**
+   * Fill the matching inputs from Matching.getSettings()
+   * Amount tolerance is shown in currency units, stored in milliunits.
+   */
+  restoreMatchingSettings() {
+    const settings = Matching.getSettings();
+    this.elements.matchingInputs.forEach(input => {
+      const key = input.dataset.matchingSetting;
+      if (key === 'amountTolerance') {
+        input.value = YnabClient.fromMilliunits(settings.amountTolerance);
+      } else if (key.startsWith('weights.')) {
+        input.value = settings.weights[key.split('.')[1]];
+      } else {
+        input.value = settings[key];
+      }
+    });
+  },
+
+  saveMatchingSettings() {
+    const matching = { weights: {} };
+    for (const input of this.elements.matchingInputs) {
+      const key = input.dataset.matchingSetting;
+      const value = parseFloat(input.value);
+      if (isNaN(value) || value < 0) {
+        Utils.showToast('Matching settings must be non-negative numbers', 'error');
+        return;
+      }
+      if (key === 'amountTolerance' && value <= 0) {
+        // A zero tolerance would make every pair ineligible
+        Utils.showToast('Amount tolerance must be greater than zero', 'error');
+        return;
+      }
+      if (key === 'amountTolerance') {
+        matching.amountTolerance = YnabClient.toMilliunits(value);
+      } else if (key.startsWith('weights.')) {
+        matching.weights[key.split('.')[1]] = value;
+      } else {
+        matching[key] = value;
+      }
+    }
+    Store.updateConfig({ matching });
+    Utils.showToast('Matching settings saved', 'success');
+  },
+
   populateBudgetSelects(budgets) {
     const options = budgets.map(b =>
       `<option value="${b.id}">${Utils.escapeHtml(b.name)}</option>`
@@ -553,22 +724,60 @@ const App = {
   },
 
   async loadBudgetDetails(budgetId) {
-    if (this.state.budgetDetails[budgetId]) {
-      return this.state.budgetDetails[budgetId];
+    // DataService keeps details current with delta syncs (and serves the cached copy offline)
+    const details = await DataService.getBudgetDetails(budgetId);
+    this.state.budgetDetails[budgetId] = details;
+    this.validateConfig();
+    return details;
+  },
+
+  /**
+   * Check the saved bindings against YNAB and show what's broken in Settings
+   * Outside Settings, a new set of problems also gets a toast that opens it.
+   */
+  async validateConfig() {
+    let errors;
+    try {
+      errors = await ConfigValidator.run();
+    } catch (error) {
+      console.warn('Config validation skipped:', error.message);
+      return;
     }
 
-    let details = Storage.getCachedBudgetDetails(budgetId);
+    const changed = JSON.stringify(errors) !== JSON.stringify(this.state.configErrors);
+    this.state.configErrors = errors;
+    this.renderConfigErrors(errors);
+    Setup.applyConfigErrors(errors);
+
+    if (changed && errors.length > 0 && !this.state.settingsOpen) {
+      Utils.showToast(
+        `${errors.length} configuration problem${errors.length !== 1 ? 's' : ''} found`,
+        'warning',
+        8000,
+        { label: 'Open Settings', onClick: () => this.openSettingsDialog() }
+      );
+    }
+  },
+
+  renderConfigErrors(errors) {
+    const el = this.elements.configValidation;
+    if (!el) return;
 
-    if (!details) {
-      // YnabClient.getBudget returns { budget, serverKnowledge }
-      // We only need the budget object for details
-      const result = await YnabClient.getBudget(budgetId);
-      details = result.budget;
-      Storage.setCachedBudgetDetails(budgetId, details);
+    if (errors.length === 0) {
+      el.style.display = 'none';
+      el.innerHTML = '';
+      return;
     }
 
-    this.state.budgetDetails[budgetId] = details;
-    return details;
+    el.style.display = 'block';
+    el.innerHTML = `
+      <strong>Fix these bindings:</strong>
+      <ul>
+        ${errors.map(e => `
+          <li>${e.member ? `<strong>${Utils.escapeHtml(e.member)}:</strong> ` : ''}${Utils.escapeHtml(e.message)}</li>
+        `).join('')}
+      </ul>
+    `;
   }
 };
 
@@ -0,0 +1,93 @@
+/**
+ * Binding Analysis
+ * Compares a member's personal Shared Expenses category with their
+ * contribution account in the shared budget (docs/SPECIFICATION.md §1.3),
+ * so a new household can see how much history needs cleaning up.
+ * Setup loads the transactions and renders the result; nothing here calls
+ * the API or touches the DOM.
+ */
+const BindingAnalysis = {
+  // Suggested matches only look this far back (or to the cutoff date, if later)
+  SUGGEST_DAYS: 90,
+
+  /**
+   * Analyze one member's binding
+   * @param {Array} personalTxns - Personal budget transactions in the Shared Expenses category
+   * @param {Array} sharedTxns - Shared budget transactions in the contribution account
+   * @param {string} sharedCategoryId - The member's Shared Expenses category
+   * @returns {{personal: object, shared: object, countDiff: number, amountDiff: number,
+   *   linked: number, unmatchedPersonal: Array, unmatchedShared: Array}}
+   *   Amounts in milliunits; outflows negative
+   */
+  analyze(personalTxns, sharedTxns, sharedCategoryId) {
+    const personal = personalTxns
+      .filter(t => !t.deleted)
+      .map(t => ({ txn: t, amount: TxnTypes.getCategoryAmount(t, sharedCategoryId) }));
+    const shared = sharedTxns
+      .filter(t => !t.deleted && GoldenRule.isSharedSpending(t))
+      .map(t => ({ txn: t, amount: t.amount }));
+
+    // Linked on one side only counts as unmatched too
+    const personalIds = new Set(personal.map(e => TxnTypes.getLinkId(e.txn)).filter(Boolean));
+    const sharedIds = new Set(shared.map(e => TxnTypes.getLinkId(e.txn)).filter(Boolean));
+    const isMatched = (txn, otherIds) => {
+      const id = TxnTypes.getLinkId(txn);
+      return !!id && otherIds.has(id);
+    };
+
+    const unmatchedPersonal = personal.filter(e => !isMatched(e.txn, sharedIds));
+    const unmatchedShared = shared.filter(e => !isMatched(e.txn, personalIds));
+    const linked = [...personalIds].filter(id => sharedIds.has(id)).length;
+
+    const personalSummary = this.summarize(personal);
+    const sharedSummary = this.summarize(shared);
+
+    return {
+      personal: personalSummary,
+      shared: sharedSummary,
+      countDiff: personalSummary.count - sharedSummary.count,
+      amountDiff: personalSummary.total - sharedSummary.total,
+      linked,
+      unmatchedPersonal: this._byDateDesc(unmatchedPersonal),
+      unmatchedShared: this._byDateDesc(unmatchedShared)
+    };
+  },
+
+  /**
+   * Likely pairs among recent unmatched transactions that have no link ID at all
+   * Scoring is quadratic, so this runs only when the user asks for it and
+   * only over the last SUGGEST_DAYS days.
+   * @param {object} analysis - From analyze()
+   * @param {string|null} cutoffDate - config.consistencyCutoffDate
+   * @returns {{sinceDate: string, pairs: Array<{personal, shared, score}>}}
+   */
+  suggest(analysis, cutoffDate) {
+    const windowStart = new Date(Date.now() - this.SUGGEST_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const sinceDate = cutoffDate && cutoffDate > windowStart ? cutoffDate : windowStart;
+    const candidates = entries => entries
+      .filter(e => !TxnTypes.isLinked(e.txn) && e.txn.date >= sinceDate)
+      .map(e => e.txn);
+
+    const { pairs } = Matching.findAutoLinks(candidates(analysis.unmatchedPersonal), candidates(analysis.unmatchedShared));
+    return { sinceDate, pairs: pairs.sort((a, b) => b.personal.date.localeCompare(a.personal.date)) };
+  },
+
+  /**
+   * Count, total and date range of a side
+   * @param {Array<{txn, amount}>} entries
+   * @returns {{count: number, total: number, first: string|null, last: string|null}}
+   */
+  summarize(entries) {
+    const dates = entries.map(e => e.txn.date).sort();
+    return {
+      count: entries.length,
+      total: entries.reduce((sum, e) => sum + e.amount, 0),
+      first: dates[0] || null,
+      last: dates[dates.length - 1] || null
+    };
+  },
+
+  _byDateDesc(entries) {
+    return [...entries].sort((a, b) => b.txn.date.localeCompare(a.txn.date));
+  }
+};
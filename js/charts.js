@@ -4,6 +4,26 @@
  */
 const Charts = {
   colors: ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'],
+  // Members skip red, which charts keep for expenses
+  memberColors: ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'], // Blue, Green, Amber, Purple, Pink
+
+  /**
+   * Color for the i-th series
+   * Uses the palette first, then spreads further hues by the golden angle so
+   * large households or long category lists don't repeat colors.
+   * @param {number} i - Series index
+   * @param {string[]} [palette] - Defaults to `colors`
+   * @returns {string} CSS color
+   */
+  getColor(i, palette = this.colors) {
+    if (i < palette.length) return palette[i];
+    const hue = Math.round((i - palette.length) * 137.508 + 200) % 360;
+    return `hsl(${hue}, 65%, ${i % 2 ? 42 : 55}%)`;
+  },
+
+  memberColor(i) {
+    return this.getColor(i, this.memberColors);
+  },
 
   /**
    * Create a line/area chart for contribution history
@@ -79,7 +99,7 @@ const Charts = {
 
     // Draw lines for each member's contributions
     memberNames.forEach((memberName, memberIdx) => {
-      const color = this.colors[memberIdx % this.colors.length];
+      const color = this.getColor(memberIdx);
 
       // Contribution line (area)
       const areaPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -162,7 +182,7 @@ const Charts = {
       legend.className = 'chart-legend';
       legend.innerHTML = memberNames.map((name, i) => `
         <div class="chart-legend-item">
-          <span class="chart-legend-color" style="background: ${this.colors[i % this.colors.length]}"></span>
+          <span class="chart-legend-color" style="background: ${this.getColor(i)}"></span>
           ${Utils.escapeHtml(name)}
         </div>
       `).join('');
@@ -255,7 +275,7 @@ const Charts = {
           rect.setAttribute('y', currentY);
           rect.setAttribute('width', barWidth);
           rect.setAttribute('height', barHeight);
-          rect.setAttribute('fill', v.color || this.colors[barIdx % this.colors.length]);
+          rect.setAttribute('fill', v.color || this.getColor(barIdx));
           rect.setAttribute('class', 'chart-bar');
 
           const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -275,7 +295,7 @@ const Charts = {
           rect.setAttribute('y', barY);
           rect.setAttribute('width', barWidth - 2);
           rect.setAttribute('height', barHeight);
-          rect.setAttribute('fill', v.color || this.colors[barIdx % this.colors.length]);
+          rect.setAttribute('fill', v.color || this.getColor(barIdx));
           rect.setAttribute('class', 'chart-bar');
 
           const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -387,7 +407,6 @@ const Charts = {
 
     // Colors for lines
     const expensesColor = '#ef4444'; // Red for expenses
-    const memberColors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899']; // Blue, Green, Amber, Purple, Pink
 
     // Draw expenses area fill
     const areaPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -436,7 +455,7 @@ const Charts = {
 
     // Draw member contribution lines
     members.forEach((memberName, memberIdx) => {
-      const color = memberColors[memberIdx % memberColors.length];
+      const color = this.memberColor(memberIdx);
 
       // Draw line
       const linePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -497,7 +516,7 @@ const Charts = {
     if (showLegend) {
       const memberLegendItems = members.map((name, idx) => `
         <div class="chart-legend-item">
-          <span class="chart-legend-color" style="background: ${memberColors[idx % memberColors.length]}"></span>
+          <span class="chart-legend-color" style="background: ${this.memberColor(idx)}"></span>
           ${name}'s Contributions
         </div>
       `).join('');
@@ -628,12 +647,12 @@ const Charts = {
 
         const stop1 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
         stop1.setAttribute('offset', '0%');
-        stop1.setAttribute('stop-color', source.color || this.colors[sourceIdx % this.colors.length]);
+        stop1.setAttribute('stop-color', source.color || this.getColor(sourceIdx));
         stop1.setAttribute('stop-opacity', '0.6');
 
         const stop2 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
         stop2.setAttribute('offset', '100%');
-        stop2.setAttribute('stop-color', source.color || this.colors[sourceIdx % this.colors.length]);
+        stop2.setAttribute('stop-color', source.color || this.getColor(sourceIdx));
         stop2.setAttribute('stop-opacity', '0.3');
 
         gradient.appendChild(stop1);
@@ -681,7 +700,7 @@ const Charts = {
       rect.setAttribute('y', node.y);
       rect.setAttribute('width', nodeWidth);
       rect.setAttribute('height', node.height);
-      rect.setAttribute('fill', node.color || this.colors[i % this.colors.length]);
+      rect.setAttribute('fill', node.color || this.getColor(i));
       rect.setAttribute('class', 'sankey-node sankey-node-source');
 
       const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -764,7 +783,7 @@ const Charts = {
         <span class="sankey-legend-title">Contributions</span>
         ${sourceNodes.map((s, i) => `
           <div class="sankey-legend-item">
-            <span class="sankey-legend-color" style="background: ${s.color || this.colors[i % this.colors.length]}"></span>
+            <span class="sankey-legend-color" style="background: ${s.color || this.getColor(i)}"></span>
             ${Utils.escapeHtml(s.name)}
           </div>
         `).join('')}
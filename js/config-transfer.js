@@ -0,0 +1,417 @@
+/**
+ * Config Transfer
+ * Export the household configuration to a versioned JSON file and import it
+ * in another browser. The API key is never exported.
+ *
+ * Budgets, categories and accounts are exported with their names. On import,
+ * IDs the current token can see are kept; the rest are matched by name
+ * (category group too, when that's needed to tell categories apart), and
+ * anything that can't be matched is left unbound for Settings to flag.
+ */
+const ConfigTransfer = {
+  FORMAT: 'ynab-couple-budget-config',
+  VERSION: 1,
+
+  // Never exported, even if an older config carries them
+  EXCLUDED_KEYS: ['apiKey'],
+
+  // Member names and other display text (template names, policy labels) are
+  // escaped wherever they're shown, so only control characters are refused
+  NAME_PATTERN: /^[^\p{Cc}]{1,100}$/u,
+  TEXT_PATTERN: /^[^\p{Cc}]{1,200}$/u,
+  ID_PATTERN: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  TEMPLATE_ID_PATTERN: /^[A-Za-z0-9-]{1,40}$/,
+  ISSUE_ID_PATTERN: /^[\p{L}\p{N} :._-]{1,200}$/u,
+  MONTH_PATTERN: /^\d{4}-\d{2}$/,
+  DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+
+  /**
+   * Build the export file contents
+   * @param {object} config - Store config
+   * @param {Array} budgets - Budget summaries (App.state.budgets)
+   * @param {Object} detailsById - { budgetId: budget details }
+   * @returns {object}
+   */
+  build(config, budgets, detailsById) {
+    const exported = { ...config };
+    this.EXCLUDED_KEYS.forEach(key => delete exported[key]);
+
+    const names = { budgets: {}, categories: {}, accounts: {} };
+    const addBudget = id => {
+      const budget = budgets.find(b => b.id === id);
+      if (budget) names.budgets[id] = budget.name;
+    };
+    const addCategory = (budgetId, categoryId) => {
+      const details = detailsById[budgetId];
+      const category = details?.categories?.find(c => c.id === categoryId);
+      if (!category) return;
+      const group = details.category_groups?.find(g => g.id === category.category_group_id);
+      names.categories[categoryId] = { name: category.name, group: group?.name || null };
+    };
+
+    addBudget(config.sharedBudgetId);
+    (config.members || []).forEach(member => {
+      addBudget(member.budgetId);
+      addCategory(member.budgetId, member.sharedCategoryId);
+      addCategory(member.budgetId, member.balancingCategoryId);
+      const account = detailsById[config.sharedBudgetId]?.accounts?.find(a => a.id === member.contributionAccountId);
+      if (account) names.accounts[account.id] = account.name;
+    });
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      config: exported,
+      names
+    };
+  },
+
+  /**
+   * Parse and check an export file
+   * @param {string} text - File contents
+   * @returns {object} The parsed file
+   * @throws {Error} If it isn't a config export this version can read
+   */
+  parse(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file isn\'t valid JSON');
+    }
+    if (file?.format !== this.FORMAT || !file.config) {
+      throw new Error('The file isn\'t a configuration export');
+    }
+    if (!(file.version <= this.VERSION)) {
+      throw new Error(`The file is from a newer version (v${file.version}); update the app first`);
+    }
+    if (!Array.isArray(file.config.members)) {
+      throw new Error('The file has no members');
+    }
+    return { ...file, config: this.sanitize(file.config), names: this._sanitizeNames(file.names) };
+  },
+
+  /**
+   * Rebuild an imported config from the keys and shapes this app writes
+   * Unknown keys are dropped, and so are entries left behind by a renamed or
+   * removed member or a deleted template; names, IDs, dates and amounts that
+   * don't have the expected form reject the whole file.
+   * @param {object} config - The file's config
+   * @returns {object}
+   * @throws {Error} Naming the first invalid value
+   */
+  sanitize(config) {
+    const fail = path => { throw new Error(`The file has an invalid value for ${path}`); };
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const id = (value, path) => {
+      if (value === null || value === undefined || value === '') return value ?? null;
+      return typeof value === 'string' && this.ID_PATTERN.test(value) ? value : fail(path);
+    };
+    const name = (value, path) => (typeof value === 'string' && value.trim() && this.NAME_PATTERN.test(value) ? value : fail(path));
+    const text = (value, path) => (typeof value === 'string' && this.TEXT_PATTERN.test(value) ? value : fail(path));
+    const number = (value, path) => (isNumber(value) ? value : fail(path));
+    // { key: value } maps, keyed by month or member name; checkKey returning
+    // 'skip' drops a stale entry instead of failing
+    const map = (value, path, checkKey, checkValue) => {
+      if (value === undefined) return undefined;
+      if (!isObject(value)) fail(path);
+      const result = {};
+      Object.entries(value).forEach(([key, entry]) => {
+        const check = checkKey(key);
+        if (check === 'skip') return;
+        if (!check) fail(`${path}.${key}`);
+        result[key] = checkValue(entry, `${path}.${key}`);
+      });
+      return result;
+    };
+    const isMonth = key => this.MONTH_PATTERN.test(key);
+
+    const members = config.members.map((member, i) => {
+      if (!isObject(member)) fail(`members[${i}]`);
+      const share = member.contributionShare;
+      return {
+        name: name(member.name, `members[${i}].name`),
+        budgetId: id(member.budgetId, `members[${i}].budgetId`) || '',
+        sharedCategoryId: id(member.sharedCategoryId, `members[${i}].sharedCategoryId`) || '',
+        balancingCategoryId: id(member.balancingCategoryId, `members[${i}].balancingCategoryId`) || '',
+        contributionAccountId: id(member.contributionAccountId, `members[${i}].contributionAccountId`) || '',
+        contributionShare: share === null || share === undefined ? null
+          : (isNumber(share) && share >= 0 && share <= 100 ? share : fail(`members[${i}].contributionShare`))
+      };
+    });
+    if (members.reduce((sum, m) => sum + (m.contributionShare || 0), 0) > 100) {
+      throw new Error('The file has contribution shares adding up to more than 100%');
+    }
+    const memberNames = new Set(members.map(m => m.name));
+    if (memberNames.size !== members.length) throw new Error('The file has two members with the same name');
+    // Amounts for a member who has since been renamed or removed
+    const isMember = key => memberNames.has(key) || 'skip';
+    const amounts = (value, path) => map(value, path, isMember, number);
+
+    const policy = (value, path) => {
+      if (value === undefined || value === null) return value ?? null;
+      if (!isObject(value) || !(value.type in SplitPolicies.TYPES)) fail(path);
+      return {
+        type: value.type,
+        incomes: amounts(value.incomes, `${path}.incomes`) || {},
+        fixedAmounts: amounts(value.fixedAmounts, `${path}.fixedAmounts`) || {}
+      };
+    };
+
+    const clean = {
+      sharedBudgetId: id(config.sharedBudgetId, 'sharedBudgetId'),
+      members
+    };
+
+    if (config.consistencyCutoffDate) {
+      const date = config.consistencyCutoffDate;
+      clean.consistencyCutoffDate = typeof date === 'string' && this.DATE_PATTERN.test(date) ? date : fail('consistencyCutoffDate');
+    }
+
+    if (config.matching !== undefined) {
+      if (!isObject(config.matching)) fail('matching');
+      const matching = {};
+      Object.keys(Matching.DEFAULTS).filter(key => key !== 'weights' && key in config.matching).forEach(key => {
+        matching[key] = number(config.matching[key], `matching.${key}`);
+      });
+      if (matching.amountTolerance !== undefined && !(matching.amountTolerance > 0)) fail('matching.amountTolerance');
+      matching.weights = map(config.matching.weights || {}, 'matching.weights', key => key in Matching.DEFAULTS.weights, number);
+      clean.matching = matching;
+    }
+
+    if (config.splitPolicy !== undefined) clean.splitPolicy = policy(config.splitPolicy, 'splitPolicy');
+
+    ['monthlyAllocations', 'monthlyBudgets'].forEach(key => {
+      if (config[key] !== undefined) clean[key] = map(config[key], key, isMonth, amounts);
+    });
+
+    if (config.allocationTemplates !== undefined) {
+      if (!Array.isArray(config.allocationTemplates)) fail('allocationTemplates');
+      clean.allocationTemplates = config.allocationTemplates.map((template, i) => {
+        const path = `allocationTemplates[${i}]`;
+        if (!isObject(template) || !this.TEMPLATE_ID_PATTERN.test(template.id)) fail(path);
+        return {
+          id: template.id,
+          name: text(template.name, `${path}.name`),
+          amounts: template.amounts ? amounts(template.amounts, `${path}.amounts`) : null,
+          policy: policy(template.policy, `${path}.policy`)
+        };
+      });
+    }
+    const templateIds = new Set((clean.allocationTemplates || []).map(t => t.id));
+
+    if (config.templateAssignments !== undefined) {
+      const assignments = map(config.templateAssignments, 'templateAssignments', isMonth,
+        (value, path) => (typeof value === 'string' ? value : fail(path)));
+      // Assignments to a deleted template are dropped
+      clean.templateAssignments = Object.fromEntries(Object.entries(assignments)
+        .filter(([, templateId]) => templateIds.has(templateId)));
+    }
+
+    if (config.monthlyPolicies !== undefined) {
+      clean.monthlyPolicies = map(config.monthlyPolicies, 'monthlyPolicies', isMonth, (value, path) => {
+        if (!isObject(value)) fail(path);
+        const record = {};
+        if (value.type !== undefined) {
+          record.type = value.type === 'template' || value.type in SplitPolicies.TYPES ? value.type : fail(`${path}.type`);
+        }
+        if (value.label !== undefined) record.label = text(value.label, `${path}.label`);
+        // A deleted template's months keep their amounts, as they do in the app
+        if (value.templateId !== undefined && templateIds.has(value.templateId)) record.templateId = value.templateId;
+        ['target', 'targetOverride'].forEach(key => {
+          if (value[key] !== undefined) record[key] = number(value[key], `${path}.${key}`);
+        });
+        if (value.applied !== undefined) record.applied = amounts(value.applied, `${path}.applied`);
+        return record;
+      });
+    }
+
+    if (config.issueDismissals !== undefined) {
+      clean.issueDismissals = map(config.issueDismissals, 'issueDismissals', key => this.ISSUE_ID_PATTERN.test(key), (value, path) => {
+        const until = isObject(value) ? value.until : undefined;
+        if (until !== null && !(typeof until === 'string' && this.DATE_PATTERN.test(until))) fail(path);
+        return { until };
+      });
+    }
+
+    return clean;
+  },
+
+  // Export-time names are only shown (escaped) and compared, but must be strings
+  _sanitizeNames(names) {
+    const strings = value => Object.fromEntries(Object.entries(value && typeof value === 'object' ? value : {})
+      .filter(([, name]) => typeof name === 'string'));
+    const categories = Object.fromEntries(Object.entries(names?.categories && typeof names.categories === 'object' ? names.categories : {})
+      .filter(([, entry]) => typeof entry?.name === 'string')
+      .map(([id, entry]) => [id, { name: entry.name, group: typeof entry.group === 'string' ? entry.group : null }]));
+    return { budgets: strings(names?.budgets), categories, accounts: strings(names?.accounts) };
+  },
+
+  /**
+   * Map a budget ID to one the current token can see
+   * @returns {{id: string|null, status: 'kept'|'mapped'|'missing'}}
+   */
+  mapBudget(id, name, budgets) {
+    if (!id) return { id: null, status: 'kept' };
+    if (budgets.some(b => b.id === id)) return { id, status: 'kept' };
+    const byName = name ? budgets.filter(b => b.name.trim().toLowerCase() === name.trim().toLowerCase()) : [];
+    return byName.length === 1 ? { id: byName[0].id, status: 'mapped' } : { id: null, status: 'missing' };
+  },
+
+  /**
+   * Map a category ID within a budget
+   * @param {object} exported - { name, group } from the file
+   */
+  mapCategory(id, exported, details) {
+    if (!id) return { id: null, status: 'kept' };
+    const categories = (details?.categories || []).filter(c => !c.deleted);
+    if (categories.some(c => c.id === id)) return { id, status: 'kept' };
+    if (!exported?.name) return { id: null, status: 'missing' };
+
+    const sameName = categories.filter(c => c.name.trim().toLowerCase() === exported.name.trim().toLowerCase());
+    const inGroup = sameName.filter(c => {
+      const group = details.category_groups?.find(g => g.id === c.category_group_id);
+      return group && exported.group && group.name.trim().toLowerCase() === exported.group.trim().toLowerCase();
+    });
+    const match = sameName.length === 1 ? sameName[0] : (inGroup.length === 1 ? inGroup[0] : null);
+    return match ? { id: match.id, status: 'mapped' } : { id: null, status: 'missing' };
+  },
+
+  /**
+   * Map an account ID within the shared budget
+   */
+  mapAccount(id, name, details) {
+    if (!id) return { id: null, status: 'kept' };
+    const accounts = (details?.accounts || []).filter(a => !a.deleted);
+    if (accounts.some(a => a.id === id)) return { id, status: 'kept' };
+    const byName = name ? accounts.filter(a => a.name.trim().toLowerCase() === name.trim().toLowerCase()) : [];
+    return byName.length === 1 ? { id: byName[0].id, status: 'mapped' } : { id: null, status: 'missing' };
+  },
+
+  /**
+   * Rewrite a file's IDs for the budgets the current token can see
+   * @param {object} file - From parse()
+   * @param {Array} budgets - Budget summaries
+   * @param {Function} loadDetails - async budgetId => budget details
+   * @returns {Promise<{config: object, report: Array<{label, status, name}>}>}
+   */
+  async resolve(file, budgets, loadDetails) {
+    const names = file.names;
+    const config = { ...file.config };
+    this.EXCLUDED_KEYS.forEach(key => delete config[key]);
+    const report = [];
+    const note = (label, result, name) => report.push({ label, status: result.status, name: name || null });
+    const budgetName = id => names.budgets[id] || budgets.find(b => b.id === id)?.name;
+
+    const shared = this.mapBudget(config.sharedBudgetId, names.budgets[config.sharedBudgetId], budgets);
+    if (config.sharedBudgetId) note('Shared budget', shared, budgetName(config.sharedBudgetId));
+    config.sharedBudgetId = shared.id;
+    const sharedDetails = shared.id ? await loadDetails(shared.id) : null;
+
+    config.members = [];
+    for (const member of file.config.members) {
+      const mapped = { ...member };
+
+      const budget = this.mapBudget(member.budgetId, names.budgets[member.budgetId], budgets);
+      if (member.budgetId) note(`${member.name}: personal budget`, budget, budgetName(member.budgetId));
+      mapped.budgetId = budget.id || '';
+      const details = budget.id ? await loadDetails(budget.id) : null;
+
+      [
+        ['sharedCategoryId', 'Shared Expenses category'],
+        ['balancingCategoryId', 'Balancing category']
+      ].forEach(([field, label]) => {
+        if (!member[field]) return;
+        const exported = names.categories[member[field]];
+        const result = details ? this.mapCategory(member[field], exported, details) : { id: null, status: 'missing' };
+        note(`${member.name}: ${label}`, result, exported?.name);
+        mapped[field] = result.id || '';
+      });
+
+      if (member.contributionAccountId) {
+        const name = names.accounts[member.contributionAccountId];
+        const result = sharedDetails ? this.mapAccount(member.contributionAccountId, name, sharedDetails) : { id: null, status: 'missing' };
+        note(`${member.name}: contribution account`, result, name);
+        mapped.contributionAccountId = result.id || '';
+      }
+
+      config.members.push(mapped);
+    }
+
+    return { config, report };
+  },
+
+  /**
+   * Download the current configuration as a JSON file
+   */
+  async exportToFile() {
+    const config = Store.getConfig();
+    const budgets = App.state.budgets || [];
+
+    try {
+      const detailsById = {};
+      const budgetIds = [config.sharedBudgetId, ...(config.members || []).map(m => m.budgetId)]
+        .filter(id => id && budgets.some(b => b.id === id));
+      for (const budgetId of new Set(budgetIds)) {
+        detailsById[budgetId] = await DataService.getBudgetDetails(budgetId);
+      }
+
+      const file = this.build(config, budgets, detailsById);
+      const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ynab-couple-budget-config-${new Date().toISOString().split('T')[0]}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      Utils.showToast('Configuration exported (without your API key)', 'success');
+    } catch (error) {
+      Utils.showToast(`Failed to export configuration: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Import a configuration file chosen by the user, after showing how its IDs map
+   * @param {File} fileHandle
+   */
+  async importFromFile(fileHandle) {
+    let resolved;
+    try {
+      const file = this.parse(await fileHandle.text());
+      resolved = await this.resolve(file, App.state.budgets || [], id => DataService.getBudgetDetails(id));
+    } catch (error) {
+      Utils.showToast(`Failed to import configuration: ${error.message}`, 'error');
+      return;
+    }
+
+    const { config, report } = resolved;
+    const labels = { kept: 'Found', mapped: 'Matched by name', missing: 'Not found — select it in Settings' };
+    const missing = report.filter(r => r.status === 'missing').length;
+
+    const confirmed = await Utils.confirm({
+      title: 'Import Configuration',
+      html: `
+        <p>This replaces the current configuration for ${config.members.length} member${config.members.length !== 1 ? 's' : ''}. The app reloads afterwards.</p>
+        <table class="config-import-report">
+          ${report.map(r => `
+            <tr class="${r.status}">
+              <td>${Utils.escapeHtml(r.label)}${r.name ? ` <span class="text-muted">(${Utils.escapeHtml(r.name)})</span>` : ''}</td>
+              <td>${labels[r.status]}</td>
+            </tr>
+          `).join('')}
+        </table>
+        ${missing > 0 ? `<p class="config-import-warning">${missing} binding${missing !== 1 ? 's' : ''} couldn't be matched and will need to be set up again.</p>` : ''}
+      `,
+      confirmText: 'Import',
+      cancelText: 'Cancel',
+      danger: true
+    });
+    if (!confirmed) return;
+
+    Store.setConfig(config);
+    window.location.reload();
+  }
+};
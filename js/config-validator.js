@@ -0,0 +1,110 @@
+/**
+ * Config Validator
+ * Checks that every budget, category and account the configuration points
+ * at still exists in YNAB and is usable: not deleted, hidden or closed, and
+ * no contribution account bound to two members. Without this, a binding that
+ * went stale in YNAB just shows up as empty data.
+ */
+const ConfigValidator = {
+  /**
+   * Validate a configuration against loaded budget details
+   * @param {object} config - Store config
+   * @param {Array} budgets - Budget summaries (App.state.budgets)
+   * @param {Object} detailsById - { budgetId: budget details } for the shared and personal budgets
+   * @returns {Array<{member: string|null, field: string, message: string}>}
+   *   `field` is the config key at fault (sharedBudgetId, budgetId, sharedCategoryId,
+   *   balancingCategoryId or contributionAccountId)
+   */
+  validate(config, budgets, detailsById) {
+    const errors = [];
+    const budgetName = id => budgets.find(b => b.id === id)?.name;
+
+    if (!config.sharedBudgetId) return errors;
+    if (!budgetName(config.sharedBudgetId)) {
+      errors.push({
+        member: null,
+        field: 'sharedBudgetId',
+        message: 'The shared budget no longer exists or this API key can\'t access it. Select the shared budget again.'
+      });
+    }
+
+    const sharedDetails = detailsById[config.sharedBudgetId];
+    const accountOwners = {};
+
+    (config.members || []).forEach(member => {
+      const add = (field, message) => errors.push({ member: member.name, field, message });
+
+      if (member.budgetId && !budgetName(member.budgetId)) {
+        add('budgetId', 'Their personal budget no longer exists or this API key can\'t access it. Select it again.');
+      } else if (member.budgetId) {
+        const details = detailsById[member.budgetId];
+        [
+          ['sharedCategoryId', 'Shared Expenses'],
+          ['balancingCategoryId', 'Balancing']
+        ].forEach(([field, label]) => {
+          if (!member[field] || !details) return;
+          const problem = this.getCategoryProblem(details, member[field]);
+          if (problem) add(field, `${label} category ${problem}. Unhide or recreate it in YNAB, or pick another category.`);
+        });
+      }
+
+      if (member.contributionAccountId && sharedDetails) {
+        const problem = this.getAccountProblem(sharedDetails, member.contributionAccountId);
+        if (problem) add('contributionAccountId', `Contribution account ${problem}. Reopen it in YNAB, or select another account.`);
+
+        const owner = accountOwners[member.contributionAccountId];
+        if (owner) {
+          add('contributionAccountId', `Contribution account is also bound to ${owner}. Each member needs their own account.`);
+        } else {
+          accountOwners[member.contributionAccountId] = member.name;
+        }
+      }
+    });
+
+    return errors;
+  },
+
+  /**
+   * Why a category can't be used, if it can't
+   * @returns {string|null} e.g. '"Groceries" is hidden in YNAB'
+   */
+  getCategoryProblem(details, categoryId) {
+    const category = (details.categories || []).find(c => c.id === categoryId);
+    if (!category || category.deleted) return 'was deleted in YNAB';
+
+    const group = (details.category_groups || []).find(g => g.id === category.category_group_id);
+    if (category.hidden) return `"${category.name}" is hidden in YNAB`;
+    if (!group || group.deleted) return `"${category.name}" is in a deleted category group`;
+    if (group.hidden) return `"${category.name}" is in the hidden group "${group.name}"`;
+    return null;
+  },
+
+  /**
+   * Why a contribution account can't be used, if it can't
+   * @returns {string|null}
+   */
+  getAccountProblem(details, accountId) {
+    const account = (details.accounts || []).find(a => a.id === accountId);
+    if (!account || account.deleted) return 'was deleted in YNAB';
+    if (account.closed) return `"${account.name}" is closed`;
+    if (!account.on_budget) return `"${account.name}" is a tracking account`;
+    return null;
+  },
+
+  /**
+   * Load the details of every budget the config references and validate them
+   * @returns {Promise<Array>} See validate()
+   */
+  async run() {
+    const config = Store.getConfig();
+    const budgets = App.state.budgets || [];
+    const budgetIds = [config.sharedBudgetId, ...(config.members || []).map(m => m.budgetId)]
+      .filter(id => id && budgets.some(b => b.id === id));
+
+    const detailsById = {};
+    for (const budgetId of new Set(budgetIds)) {
+      detailsById[budgetId] = await DataService.getBudgetDetails(budgetId);
+    }
+    return this.validate(config, budgets, detailsById);
+  }
+};
@@ -10,7 +10,7 @@
  */
 const Consistency = {
   elements: {},
-  _busy: false, // Prevents concurrent mutations
+  _busy: false, // Prevents concurrent mutations in this tab (TabSync's write lock covers other tabs)
 
   state: {
     loading: false,
@@ -28,7 +28,10 @@ const Consistency = {
     linkedPersonal: {},
     linkedShared: {},
     settleModalOpen: false,
-    sharedAccounts: []  // Shared budget accounts (needed for transfer_payee_id)
+    settleAmountEdited: false,
+    sharedAccounts: [],  // Shared budget accounts (needed for transfer_payee_id)
+    sharedCategories: null,  // Shared budget categories for the copy dialog
+    selectedForCopy: new Set()  // Personal transaction IDs ticked for bulk copy
   },
 
   // Delegate ID operations to shared LinkUtils (see utils.js)
@@ -111,6 +114,12 @@ const Consistency = {
 
   bindEvents() {
     this.elements.refreshConsistencyBtn?.addEventListener('click', () => this.loadData(true));
+    this.elements.autoLinkBtn?.addEventListener('click', () => this.autoLink());
+    this.elements.copySelectedBtn?.addEventListener('click', () => this.copySelectedToShared());
+    this.elements.clearSelectionBtn?.addEventListener('click', () => {
+      this.state.selectedForCopy.clear();
+      this.renderPersonalColumn();
+    });
     this.elements.cancelLinkingBtn?.addEventListener('click', () => this.cancelLinking());
 
     // Settle Up Modal events
@@ -122,7 +131,10 @@ const Consistency = {
     });
 
     // Balancing form events
-    this.elements.balancingAmount?.addEventListener('input', () => this.updateBalancingPreview());
+    this.elements.balancingAmount?.addEventListener('input', () => {
+      this.state.settleAmountEdited = true; // Keep the user's amount when members change
+      this.updateBalancingPreview();
+    });
     this.elements.balancingFrom?.addEventListener('change', () => this.onFromMemberChange());
     this.elements.balancingTo?.addEventListener('change', () => this.onToMemberChange());
     this.elements.balancingFromAccount?.addEventListener('change', () => this.updateBalancingPreview());
@@ -146,6 +158,7 @@ const Consistency = {
     if (this.elements.balancingFrom) this.elements.balancingFrom.value = '';
     if (this.elements.balancingTo) this.elements.balancingTo.value = '';
     if (this.elements.balancingAmount) this.elements.balancingAmount.value = '';
+    this.state.settleAmountEdited = false;
     if (this.elements.balancingFromAccount) {
       this.elements.balancingFromAccount.innerHTML = '<option value="">Select member first...</option>';
       this.elements.balancingFromAccount.disabled = true;
@@ -157,6 +170,18 @@ const Consistency = {
     if (this.elements.balancingMemo) this.elements.balancingMemo.value = '';
     if (this.elements.balancingPreview) this.elements.balancingPreview.innerHTML = '';
     if (this.elements.createBalancingBtn) this.elements.createBalancingBtn.disabled = true;
+    this.renderSettlePlan();
+
+    // Prefill the largest recommended transfer; the form stays editable
+    const [first] = this.getSettlePlan().transfers;
+    if (first) {
+      const members = Store.getConfig().members;
+      this.useSettleTransfer(
+        String(members.findIndex(m => m.name === first.from)),
+        String(members.findIndex(m => m.name === first.to)),
+        first.amount.toFixed(2)
+      );
+    }
   },
 
   closeSettleModal() {
@@ -200,6 +225,83 @@ const Consistency = {
     }
   },
 
+  /**
+   * Recommended settle-up from the contribution account balances and agreed shares
+   * @returns {{deltas: Array, transfers: Array}} See SettlePlanner
+   */
+  getSettlePlan() {
+    const members = Store.getConfig().members;
+    const balances = SettlePlanner.getMemberBalances(members, this.state.accountBalances);
+    const shares = SettlePlanner.getShares(members);
+    return {
+      deltas: SettlePlanner.getDeltas(balances, shares),
+      transfers: SettlePlanner.plan(balances, shares)
+    };
+  },
+
+  // Show the recommended transfers and how they were worked out
+  renderSettlePlan() {
+    if (!this.elements.settlePlan) return;
+
+    const { deltas, transfers } = this.getSettlePlan();
+    const members = Store.getConfig().members;
+    const indexOf = name => members.findIndex(m => m.name === name);
+    const pool = deltas.reduce((sum, d) => sum + d.balance, 0);
+
+    const transferRows = transfers.length === 0
+      ? '<div class="settle-plan-empty">Everyone is square — no transfers needed.</div>'
+      : transfers.map(t => `
+        <div class="settle-plan-row">
+          <span><strong>${Utils.escapeHtml(t.from)}</strong> pays <strong>${Utils.escapeHtml(t.to)}</strong></span>
+          <span class="settle-plan-amount">${Utils.formatCurrency(t.amount)}</span>
+          <button class="btn btn-secondary btn-small" data-from="${indexOf(t.from)}" data-to="${indexOf(t.to)}" data-amount="${t.amount.toFixed(2)}">Use</button>
+        </div>
+      `).join('');
+
+    const explanationRows = deltas.map(d => `
+      <tr>
+        <td>${Utils.escapeHtml(d.name)}</td>
+        <td>${Utils.formatCurrency(d.balance)}</td>
+        <td>${(d.share * 100).toFixed(0)}%</td>
+        <td>${Utils.formatCurrency(d.target)}</td>
+        <td class="${d.delta > 0 ? 'text-danger' : d.delta < 0 ? 'text-success' : ''}">${d.delta > 0 ? '+' : ''}${Utils.formatCurrency(d.delta)}</td>
+      </tr>
+    `).join('');
+
+    this.elements.settlePlan.innerHTML = `
+      <div class="settle-plan-title">Recommended settle-up</div>
+      ${transferRows}
+      <details class="settle-plan-explain">
+        <summary>How is this calculated?</summary>
+        <p>The contribution accounts hold ${Utils.formatCurrency(pool)} in total. Each member should hold their agreed share of it; whoever holds more pays whoever holds less.</p>
+        <table class="settle-plan-table">
+          <thead>
+            <tr><th>Member</th><th>Balance</th><th>Share</th><th>Fair share</th><th>Difference</th></tr>
+          </thead>
+          <tbody>${explanationRows}</tbody>
+        </table>
+        <small>Shares are set per member in Settings (equal if not set). You can change the amount or members below.</small>
+      </details>
+    `;
+
+    this.elements.settlePlan.querySelectorAll('button[data-from]').forEach(btn => {
+      btn.addEventListener('click', () => this.useSettleTransfer(btn.dataset.from, btn.dataset.to, btn.dataset.amount));
+    });
+  },
+
+  async useSettleTransfer(fromIndex, toIndex, amount) {
+    this.elements.balancingFrom.value = fromIndex;
+    this.elements.balancingTo.value = toIndex;
+    this.elements.balancingAmount.value = amount;
+    this.state.settleAmountEdited = false;
+    await Promise.all([
+      this.loadMemberAccounts(fromIndex, this.elements.balancingFromAccount),
+      this.loadMemberAccounts(toIndex, this.elements.balancingToAccount)
+    ]);
+    this.checkSettlePhaseTransition();
+    this.updateBalancingPreview();
+  },
+
   // Balancing form methods
   populateMemberDropdowns(members) {
     const options = members.map((m, i) =>
@@ -243,34 +345,33 @@ const Consistency = {
     const toMember = config.members[parseInt(toIndex)];
     if (!fromMember || !toMember) return;
 
-    // Calculate suggested amount from contribution account balances
-    // Positive difference means "from" has more → they owe "to"
-    const fromBalance = this.state.accountBalances?.[fromMember.name] || 0;
-    const toBalance = this.state.accountBalances?.[toMember.name] || 0;
-    const difference = fromBalance - toBalance;
+    // Suggested amount comes from the plan that squares every member
+    const { transfers } = this.getSettlePlan();
+    const suggested = transfers.find(t => t.from === fromMember.name && t.to === toMember.name);
 
     // Show phase 2
     if (this.elements.settlePhase2) {
       this.elements.settlePhase2.style.display = '';
     }
 
-    if (difference <= 0) {
-      // Wrong direction: "from" has less/equal balance, so "to" should pay "from"
-      this.elements.balancingAmount.value = '';
+    if (!suggested) {
+      // Not part of the plan: "from" doesn't owe "to" anything
+      if (!this.state.settleAmountEdited) this.elements.balancingAmount.value = '';
 
+      const reversed = transfers.some(t => t.from === toMember.name && t.to === fromMember.name);
       const hint = document.createElement('div');
       hint.id = 'settle-direction-hint';
       hint.className = 'settle-direction-hint';
-      hint.innerHTML = `Based on current balances, <strong>${Utils.escapeHtml(toMember.name)}</strong> owes <strong>${Utils.escapeHtml(fromMember.name)}</strong>. Swap From/To to settle in the correct direction.`;
+      hint.innerHTML = reversed
+        ? `Based on current balances, <strong>${Utils.escapeHtml(toMember.name)}</strong> owes <strong>${Utils.escapeHtml(fromMember.name)}</strong>. Swap From/To to settle in the correct direction.`
+        : `Based on current balances, <strong>${Utils.escapeHtml(fromMember.name)}</strong> doesn't need to pay <strong>${Utils.escapeHtml(toMember.name)}</strong>. Pick one of the suggested transfers above.`;
       this.elements.settlePhase2?.parentNode.insertBefore(hint, this.elements.settlePhase2);
       return;
     }
 
-    const suggestedAmount = difference / 2;
-
-    // Auto-populate amount if not already set
-    if (!this.elements.balancingAmount?.value) {
-      this.elements.balancingAmount.value = suggestedAmount > 0 ? suggestedAmount.toFixed(2) : '';
+    // Fill in the recommended amount unless the user typed their own
+    if (!this.state.settleAmountEdited) {
+      this.elements.balancingAmount.value = suggested.amount.toFixed(2);
     }
   },
 
@@ -297,7 +398,7 @@ const Consistency = {
     selectElement.disabled = true;
 
     try {
-      const accounts = await YnabClient.getAccounts(member.budgetId);
+      const accounts = await DataService.getAccounts(member.budgetId);
       const budgetAccounts = accounts.filter(a => !a.closed && a.on_budget);
       this.state.memberAccounts[memberIndex] = budgetAccounts;
       this.populateAccountSelect(selectElement, budgetAccounts);
@@ -367,9 +468,10 @@ const Consistency = {
 
     const formattedAmount = Utils.formatCurrency(amount);
 
-    // Get current contribution account balances
-    const fromContribBalance = this.state.accountBalances?.[fromMember.name] || 0;
-    const toContribBalance = this.state.accountBalances?.[toMember.name] || 0;
+    // Current contribution balances (same figures the recommendation uses)
+    const contribBalances = SettlePlanner.getMemberBalances(config.members, this.state.accountBalances);
+    const fromContribBalance = contribBalances[fromMember.name];
+    const toContribBalance = contribBalances[toMember.name];
 
     // Calculate new balances after transaction
     const fromNewBalance = fromContribBalance - amount;
@@ -381,7 +483,7 @@ const Consistency = {
           <strong>${Utils.escapeHtml(fromMember.name)}</strong> pays <strong>${Utils.escapeHtml(toMember.name)}</strong> <strong>${formattedAmount}</strong>
         </div>
         <div class="balancing-balance-preview">
-          <div class="balance-preview-title">Contribution account balances:</div>
+          <div class="balance-preview-title">Contribution balances:</div>
           <div class="balance-preview-row">
             <span class="balance-preview-name">${Utils.escapeHtml(fromMember.name)}:</span>
             <span class="balance-preview-current">${Utils.formatCurrency(fromContribBalance)}</span>
@@ -406,6 +508,7 @@ const Consistency = {
   async createBalancingTransaction() {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const config = Store.getConfig();
     const amount = parseFloat(this.elements.balancingAmount?.value) || 0;
@@ -459,11 +562,17 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     if (this.elements.createBalancingBtn) {
       this.elements.createBalancingBtn.disabled = true;
       this.elements.createBalancingBtn.textContent = 'Creating...';
     }
 
+    // Records every write so a half-built set can be undone
+    const journal = WriteJournal.start('Settle-up');
+
     try {
       // Check if budget adjustment is needed for fromMember
       const fromCategoryBal = this.state.categoryBalances?.[fromMember.name];
@@ -481,46 +590,27 @@ const Consistency = {
         const newSharedBudgeted = YnabClient.toMilliunits(fromCategoryBal.sharedBudgeted - amountToMove);
         const newBalancingBudgeted = YnabClient.toMilliunits(fromCategoryBal.balancingBudgeted + amountToMove);
 
-        await YnabClient.updateCategoryBudget(
+        await WriteJournal.updateCategoryBudget(
+          journal,
           fromMember.budgetId,
           currentMonth,
           fromMember.sharedCategoryId,
-          newSharedBudgeted
+          newSharedBudgeted,
+          YnabClient.toMilliunits(fromCategoryBal.sharedBudgeted)
         );
 
-        await YnabClient.updateCategoryBudget(
+        await WriteJournal.updateCategoryBudget(
+          journal,
           fromMember.budgetId,
           currentMonth,
           fromMember.balancingCategoryId,
-          newBalancingBudgeted
+          newBalancingBudgeted,
+          YnabClient.toMilliunits(fromCategoryBal.balancingBudgeted)
         );
 
         Utils.showToast(`Moved ${Utils.formatCurrency(amountToMove)} from Shared Expenses to Balancing`, 'info');
       }
 
-      // Create the 4 linked transactions
-      await YnabClient.createTransaction(fromMember.budgetId, {
-        account_id: fromAccountId,
-        date: date,
-        amount: -amountMilliunits,
-        category_id: fromMember.balancingCategoryId,
-        payee_name: `Balancing to ${toMember.name}`,
-        memo: memo,
-        cleared: 'cleared',
-        approved: true
-      });
-
-      await YnabClient.createTransaction(toMember.budgetId, {
-        account_id: toAccountId,
-        date: date,
-        amount: amountMilliunits,
-        category_id: toMember.balancingCategoryId,
-        payee_name: `Balancing from ${fromMember.name}`,
-        memo: memo,
-        cleared: 'cleared',
-        approved: true
-      });
-
       // Create a TRANSFER in shared budget (single transaction, YNAB creates matching entry)
       // Get the destination account's transfer_payee_id
       const destAccount = this.state.sharedAccounts.find(a => a.id === toMember.contributionAccountId);
@@ -528,15 +618,48 @@ const Consistency = {
         throw new Error(`Could not find transfer payee for ${toMember.name}'s contribution account`);
       }
 
-      await YnabClient.createTransaction(config.sharedBudgetId, {
-        account_id: fromMember.contributionAccountId,
-        date: date,
-        amount: -amountMilliunits,
-        payee_id: destAccount.transfer_payee_id,  // This makes it a transfer
-        memo: memo,
-        cleared: 'cleared',
-        approved: true
-      });
+      // Create the 3 transactions (one bulk request per budget); YNAB adds the
+      // transfer's other side in the shared budget, making 4 linked entries
+      await WriteJournal.createTransactionsByBudget(journal, [
+        {
+          budgetId: fromMember.budgetId,
+          transaction: {
+            account_id: fromAccountId,
+            date: date,
+            amount: -amountMilliunits,
+            category_id: fromMember.balancingCategoryId,
+            payee_name: `Balancing to ${toMember.name}`,
+            memo: memo,
+            cleared: 'cleared',
+            approved: true
+          }
+        },
+        {
+          budgetId: toMember.budgetId,
+          transaction: {
+            account_id: toAccountId,
+            date: date,
+            amount: amountMilliunits,
+            category_id: toMember.balancingCategoryId,
+            payee_name: `Balancing from ${fromMember.name}`,
+            memo: memo,
+            cleared: 'cleared',
+            approved: true
+          }
+        },
+        {
+          budgetId: config.sharedBudgetId,
+          transaction: {
+            account_id: fromMember.contributionAccountId,
+            date: date,
+            amount: -amountMilliunits,
+            payee_id: destAccount.transfer_payee_id,  // This makes it a transfer
+            memo: memo,
+            cleared: 'cleared',
+            approved: true
+          }
+        }
+      ]);
 
       Utils.showToast('Settle-up transactions created successfully', 'success');
 
@@ -565,9 +688,30 @@ const Consistency = {
 
       await this.loadData(true);
 
+      // Larger households may need more than one transfer
+      const remaining = this.getSettlePlan().transfers;
+      if (remaining.length > 0 && config.members.length > 2) {
+        Utils.showToast(
+          `${remaining.length} more transfer${remaining.length !== 1 ? 's' : ''} to square everyone`,
+          'info',
+          8000,
+          { label: 'Next', onClick: () => this.openSettleModal() }
+        );
+      }
+
     } catch (error) {
       console.error('Failed to create balancing transactions:', error);
       Utils.showToast(`Failed to create transactions: ${error.message}`, 'error');
+
+      // Offer to undo whatever was already written, then show the real state
+      if (journal.entries.length > 0) {
+        await WriteJournal.offerRollback(journal, error);
+        this.closeSettleModal();
+        DataService.invalidateBudgetCache(fromMember.budgetId);
+        DataService.invalidateBudgetCache(toMember.budgetId);
+        DataService.invalidateBudgetCache(config.sharedBudgetId);
+        await this.loadData(true);
+      }
     } finally {
       if (this.elements.createBalancingBtn) {
         this.elements.createBalancingBtn.disabled = false;
@@ -576,6 +720,7 @@ const Consistency = {
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -590,6 +735,9 @@ const Consistency = {
       // Store cutoff date in state for rendering
       this.state.cutoffDate = config.consistencyCutoffDate || '2020-01-01';
 
+      // Shared categories are re-fetched lazily on the next copy
+      if (forceRefresh) this.state.sharedCategories = null;
+
       // OPTIMIZATION: Use DataService for cached transactions
       // Load ALL transactions (DataService uses 2-year default), don't filter by cutoff
       // We'll display all but grey out those before cutoff
@@ -701,7 +849,7 @@ const Consistency = {
     this.state.accountBalances = {};
     this.state.sharedAccounts = [];
     try {
-      const accounts = await YnabClient.getAccounts(config.sharedBudgetId);
+      const accounts = await DataService.getAccounts(config.sharedBudgetId);
       this.state.sharedAccounts = accounts;  // Store for transfer_payee_id lookup
       for (const member of config.members) {
         const account = accounts.find(a => a.id === member.contributionAccountId);
@@ -819,12 +967,8 @@ const Consistency = {
   },
 
   isLinkComplete(id, group) {
-    const config = Store.getConfig();
-    const memberCount = config.members.length;
-
     if (this.isBalancingId(id)) {
-      const personalCount = Object.values(group.personal).flat().length;
-      return personalCount === memberCount && group.shared.length === memberCount;
+      return LinkUtils.isBalancingComplete(group);
     } else if (this.isMonthlyId(id)) {
       return group.shared.length >= 1;
     } else {
@@ -836,19 +980,22 @@ const Consistency = {
 
   // Get details about what's missing from an incomplete link
   getMissingDetails(id, group) {
-    const config = Store.getConfig();
     const missing = [];
 
     if (this.isBalancingId(id)) {
-      // Balancing needs transactions for each member in both personal and shared
-      config.members.forEach(m => {
-        if (!group.personal[m.name] || group.personal[m.name].length === 0) {
-          missing.push(`${m.name} personal`);
+      // Balancing needs both members of the settle-up in personal and shared
+      const parties = LinkUtils.getBalancingParties(group);
+      parties.forEach(name => {
+        if (!group.personal[name] || group.personal[name].length === 0) {
+          missing.push(`${name} personal`);
         }
-        if (!group.shared.some(t => t.memberName === m.name)) {
-          missing.push(`${m.name} shared`);
+        if (!group.shared.some(t => t.memberName === name)) {
+          missing.push(`${name} shared`);
         }
       });
+      if (parties.length < 2) {
+        missing.push('other member');
+      }
     } else if (this.isMonthlyId(id)) {
       if (group.shared.length === 0) {
         missing.push('shared transaction');
@@ -987,6 +1134,7 @@ const Consistency = {
   async transferBudget(memberName, amountToMove, direction) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const config = Store.getConfig();
     const member = config.members.find(m => m.name === memberName);
@@ -1007,6 +1155,9 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     try {
       const currentMonth = this.state.currentMonth;
 
@@ -1050,6 +1201,7 @@ const Consistency = {
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -1074,14 +1226,30 @@ const Consistency = {
 
     // Bind click events
     this.elements.memberTabs.querySelectorAll('.member-tab').forEach(tab => {
-      tab.addEventListener('click', () => {
-        this.state.selectedMember = tab.dataset.member;
-        this.cancelLinking();
-        this.renderAll();
-      });
+      tab.addEventListener('click', () => this.selectMember(tab.dataset.member));
     });
   },
 
+  /**
+   * Switch to a member's tab
+   */
+  selectMember(memberName) {
+    this.state.selectedMember = memberName;
+    this.state.selectedForCopy.clear();
+    this.cancelLinking();
+    this.renderAll();
+  },
+
+  /**
+   * Open the Transactions screen on a member's tab
+   */
+  showMember(memberName) {
+    this.state.selectedMember = memberName;
+    this.state.selectedForCopy.clear();
+    this.cancelLinking();
+    App.navigateTo('transactions');
+  },
+
   renderSummary() {
     const member = this.state.selectedMember;
     const cutoffDate = this.state.cutoffDate || '2020-01-01';
@@ -1161,6 +1329,13 @@ const Consistency = {
       allTransactions = allTransactions.filter(t => !t.isLinked && !t.isBeforeCutoff);
     }
 
+    // Drop selections that were linked or removed since they were ticked
+    const selectable = new Set(unlinkedTxns.filter(t => !t.isBeforeCutoff).map(t => t.id));
+    this.state.selectedForCopy.forEach(id => {
+      if (!selectable.has(id)) this.state.selectedForCopy.delete(id);
+    });
+    this.renderBulkActions();
+
     if (allTransactions.length === 0) {
       this.elements.personalTransactions.innerHTML = `
         <div class="empty-state">
@@ -1183,6 +1358,9 @@ const Consistency = {
       return `
         <div class="txn-row ${isSelected ? 'selected' : ''} ${isBeforeCutoff ? 'before-cutoff' : ''} ${isLinked ? 'linked' : ''} ${linkType}"
              data-txn-id="${txn.id}" data-source="personal" data-linked="${isLinked}" ${isLinked ? `data-link-id="${txn.linkId}"` : ''}>
+          ${!isLinked && !isBeforeCutoff ? `
+            <input type="checkbox" class="txn-select" title="Select for bulk copy" ${this.state.selectedForCopy.has(txn.id) ? 'checked' : ''}>
+          ` : ''}
           <div class="txn-main" data-action="select">
             <div class="txn-date">${this.formatDate(txn.date)}</div>
             <div class="txn-payee">
@@ -1190,7 +1368,7 @@ const Consistency = {
               ${isLinked ? `<span class="txn-link-badge" title="#${txn.linkId}#">${this.getLinkTypeIcon(txn.linkId)}</span>` : ''}
             </div>
             <div class="txn-amount ${txn.amount < 0 ? 'outflow' : 'inflow'}">
-              ${Utils.formatCurrency(YnabClient.fromMilliunits(Math.abs(txn.amount)))}
+              ${this.formatSharedAmount(txn, true)}
             </div>
           </div>
           <div class="txn-actions">
@@ -1216,6 +1394,15 @@ const Consistency = {
     this.bindPersonalColumnEvents();
   },
 
+  // Format a personal amount, showing "€45.00 of €120.00" for partially-shared splits
+  formatSharedAmount(txn, absolute = false) {
+    const format = amount => Utils.formatCurrency(YnabClient.fromMilliunits(absolute ? Math.abs(amount) : amount));
+    const shared = format(TxnTypes.getSharedAmount(txn));
+    return TxnTypes.isPartiallyShared(txn)
+      ? `${shared} <small class="txn-amount-of">of ${format(txn.amount)}</small>`
+      : shared;
+  },
+
   // Helper to get link type class for styling
   getLinkTypeClass(linkId) {
     if (this.isBalancingId(linkId)) return 'link-balancing';
@@ -1246,6 +1433,18 @@ const Consistency = {
       allTransactions = allTransactions.filter(t => !t.isLinked && !t.isBeforeCutoff);
     }
 
+    // In linking mode, score candidates against the selected personal transaction
+    // and show the best matches first
+    const matchScores = {};
+    if (this.state.linkingMode && this.state.selectedPersonalTxn) {
+      const settings = Matching.getSettings();
+      allTransactions.forEach(t => {
+        if (!t.isLinked) matchScores[t.id] = Matching.score(this.state.selectedPersonalTxn, t, settings);
+      });
+      allTransactions.sort((a, b) =>
+        (matchScores[b.id]?.score || 0) - (matchScores[a.id]?.score || 0) || b.date.localeCompare(a.date));
+    }
+
     if (allTransactions.length === 0) {
       this.elements.sharedTransactions.innerHTML = `
         <div class="empty-state">
@@ -1261,7 +1460,8 @@ const Consistency = {
       const linkType = isLinked ? this.getLinkTypeClass(txn.linkId) : '';
 
       // Only allow linking for unlinked transactions after cutoff
-      const canLink = this.state.linkingMode && !isLinked && !isBeforeCutoff && this.isGoodMatch(this.state.selectedPersonalTxn, txn);
+      const match = matchScores[txn.id];
+      const canLink = this.state.linkingMode && !isLinked && !isBeforeCutoff && !!match?.eligible;
       const isInflow = txn.amount > 0;
 
       // Show unlink button for linked transactions (not for before-cutoff)
@@ -1279,6 +1479,7 @@ const Consistency = {
             <div class="txn-payee">
               ${Utils.escapeHtml(txn.payee_name || 'Unknown')}
               ${isLinked ? `<span class="txn-link-badge" title="#${txn.linkId}#">${this.getLinkTypeIcon(txn.linkId)}</span>` : ''}
+              ${canLink ? `<span class="txn-match-score" title="${Utils.escapeHtml(Matching.describe(match))}">${Math.round(match.score * 100)}%</span>` : ''}
             </div>
             <div class="txn-amount ${txn.amount < 0 ? 'outflow' : 'inflow'}">
               ${Utils.formatCurrency(YnabClient.fromMilliunits(Math.abs(txn.amount)))}
@@ -1321,6 +1522,16 @@ const Consistency = {
         this.selectPersonalTransaction(txnId);
       });
 
+      // Checkbox - toggles the row in the bulk copy selection
+      row.querySelector('.txn-select')?.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.state.selectedForCopy.add(row.dataset.txnId);
+        } else {
+          this.state.selectedForCopy.delete(row.dataset.txnId);
+        }
+        this.renderBulkActions();
+      });
+
       // Copy button - copies to shared budget
       row.querySelector('.btn-copy')?.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -1412,6 +1623,7 @@ const Consistency = {
   async unlinkTransaction(txnId, linkId) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const member = this.state.selectedMember;
     const config = Store.getConfig();
@@ -1423,6 +1635,14 @@ const Consistency = {
       return;
     }
 
+    // Split lines can't be edited through the API, so a tag there keeps the link
+    const taggedOnLines = TxnTypes.getSubtransactions(txn).some(sub => LinkUtils.extractId(sub.memo) === linkId);
+    const taggedOnMemo = LinkUtils.extractId(txn.memo) === linkId;
+    if (taggedOnLines && !taggedOnMemo) {
+      Utils.showToast(`#${linkId}# is on this split's category lines, which can't be edited through the API. Remove it from them in YNAB to unlink.`, 'warning', 8000);
+      return;
+    }
+
     const confirmed = await Utils.confirm({
       title: 'Remove Link',
       html: `
@@ -1434,6 +1654,9 @@ const Consistency = {
           </div>
         </div>
         <p>This will only remove the link from this shared budget transaction.</p>
+        ${taggedOnLines ? `
+          <div class="confirm-warning">This is a split whose category lines also carry the ID. YNAB doesn't allow editing split lines through the API, so it stays linked until you remove the tag from them in YNAB.</div>
+        ` : ''}
       `,
       confirmText: 'Remove Link',
       cancelText: 'Cancel'
@@ -1441,6 +1664,9 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     try {
       // Remove the link ID from the memo
       const newMemo = this.removeLinkFromMemo(txn.memo, linkId);
@@ -1449,7 +1675,11 @@ const Consistency = {
         memo: newMemo
       });
 
-      Utils.showToast('Link removed from transaction', 'success');
+      if (taggedOnLines) {
+        Utils.showToast(`Removed #${linkId}# from the memo. The split lines still carry it, so the transaction stays linked until you edit them in YNAB.`, 'warning', 8000);
+      } else {
+        Utils.showToast('Link removed from transaction', 'success');
+      }
 
       // Update local state
       this.updateLocalTransactionMemo(txn.id, newMemo, 'shared');
@@ -1467,6 +1697,7 @@ const Consistency = {
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -1483,6 +1714,7 @@ const Consistency = {
   async deleteSharedTransaction(txnId) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const member = this.state.selectedMember;
     const config = Store.getConfig();
@@ -1527,6 +1759,9 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     try {
       await YnabClient.deleteTransaction(config.sharedBudgetId, txnId);
 
@@ -1555,6 +1790,7 @@ const Consistency = {
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -1659,6 +1895,9 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    const releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     try {
       // Delete all transactions
       const budgetsToInvalidate = new Set();
@@ -1773,6 +2012,8 @@ const Consistency = {
     } catch (error) {
       console.error('Failed to delete balancing transaction set:', error);
       Utils.showToast(`Failed to delete: ${error.message}`, 'error');
+    } finally {
+      releaseLock();
     }
   },
 
@@ -1803,6 +2044,7 @@ const Consistency = {
   async showMonthlyPicker(txnId) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const member = this.state.selectedMember;
     const txn = this.state.unlinkedShared[member]?.find(t => t.id === txnId);
@@ -1862,6 +2104,9 @@ const Consistency = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     const parts = selectedMonthValue.split('-');
     const selectedMonth = parseInt(parts[0]);
     const selectedYear = parseInt(parts[1]);
@@ -1869,6 +2114,7 @@ const Consistency = {
     await this.markAsMonthly(txnId, selectedMonth, selectedYear);
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -1908,8 +2154,8 @@ const Consistency = {
   },
 
   // Update a transaction's memo in local state
-  updateLocalTransactionMemo(txnId, newMemo, source) {
-    const member = this.state.selectedMember;
+  updateLocalTransactionMemo(txnId, newMemo, source, memberName = null) {
+    const member = memberName || this.state.selectedMember;
     const config = Store.getConfig();
 
     if (source === 'personal') {
@@ -1981,21 +2227,14 @@ const Consistency = {
   },
 
   isGoodMatch(personalTxn, sharedTxn) {
-    if (!personalTxn || !sharedTxn) return false;
-
-    // Same amount (within small tolerance for rounding)
-    const amountMatch = Math.abs(personalTxn.amount - sharedTxn.amount) < 100;
-
-    // Within 7 days
-    const daysDiff = Math.abs(new Date(personalTxn.date) - new Date(sharedTxn.date)) / (1000 * 60 * 60 * 24);
-    const dateMatch = daysDiff <= 7;
-
-    return amountMatch && dateMatch;
+    // Within the configured amount tolerance and date window (see Matching)
+    return Matching.score(personalTxn, sharedTxn).eligible;
   },
 
   async linkWithSelected(sharedTxnId) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const member = this.state.selectedMember;
     const personalTxn = this.state.selectedPersonalTxn;
@@ -2013,16 +2252,25 @@ const Consistency = {
     const personalNewMemo = this.appendIdToMemo(personalTxn.memo, newId);
     const sharedNewMemo = this.appendIdToMemo(sharedTxn.memo, newId);
 
-    try {
-      // Update personal transaction memo
-      await YnabClient.updateTransaction(memberConfig.budgetId, personalTxn.id, {
-        memo: personalNewMemo
-      });
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
 
-      // Update shared transaction memo
-      await YnabClient.updateTransaction(config.sharedBudgetId, sharedTxn.id, {
-        memo: sharedNewMemo
-      });
+    const journal = WriteJournal.start('Link');
+
+    try {
+      // Update both memos (one bulk request per budget)
+      await WriteJournal.updateTransactionsByBudget(journal, [
+        {
+          budgetId: memberConfig.budgetId,
+          transaction: { id: personalTxn.id, memo: personalNewMemo },
+          previous: { id: personalTxn.id, memo: personalTxn.memo || '' }
+        },
+        {
+          budgetId: config.sharedBudgetId,
+          transaction: { id: sharedTxn.id, memo: sharedNewMemo },
+          previous: { id: sharedTxn.id, memo: sharedTxn.memo || '' }
+        }
+      ]);
 
       Utils.showToast(`Linked with ID #${newId}#`, 'success');
 
@@ -2042,15 +2290,142 @@ const Consistency = {
     } catch (error) {
       console.error('Failed to link transactions:', error);
       Utils.showToast(`Failed to link: ${error.message}`, 'error');
+      // Personal memo written but shared failed - offer to remove the orphan ID
+      if (await WriteJournal.offerRollback(journal, error)) {
+        this.cancelLinking();
+      } else if (journal.entries.length > 0) {
+        this.updateLocalTransactionMemo(personalTxn.id, personalNewMemo, 'personal');
+        this.cancelLinking();
+        this.renderAll();
+      }
+    }
+    } finally {
+      this._busy = false;
+      releaseLock?.();
+    }
+  },
+
+  /**
+   * Auto-link pass: link every unambiguous personal/shared pair for all members
+   * Pairs are picked by Matching.findAutoLinks and shown in a preview first.
+   */
+  async autoLink() {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const config = Store.getConfig();
+    const cutoffDate = this.state.cutoffDate || '2020-01-01';
+    const afterCutoff = t => !TxnTypes.isBeforeCutoff(t, cutoffDate);
+
+    const plan = [];
+    let ambiguousCount = 0;
+    for (const member of config.members) {
+      const personal = (this.state.unlinkedPersonal[member.name] || []).filter(afterCutoff);
+      const shared = (this.state.unlinkedShared[member.name] || []).filter(afterCutoff);
+      const { pairs, ambiguous } = Matching.findAutoLinks(personal, shared);
+      pairs.forEach(pair => plan.push({ ...pair, member }));
+      ambiguousCount += ambiguous.length;
+    }
+
+    if (plan.length === 0) {
+      Utils.showToast(ambiguousCount > 0
+        ? `No unambiguous matches found (${ambiguousCount} need manual review)`
+        : 'No matches found', 'info');
+      return;
+    }
+
+    const rows = plan.map(({ personal, shared, score, member }) => `
+      <div class="confirm-detail-item auto-link-item">
+        <span class="detail-label">
+          ${Utils.escapeHtml(personal.payee_name || 'Unknown')} &harr; ${Utils.escapeHtml(shared.payee_name || 'Unknown')}
+          <br><small>${Utils.escapeHtml(member.name)} &middot; ${personal.date} / ${shared.date} &middot; ${Math.round(score * 100)}% match</small>
+        </span>
+        <span class="detail-value">${this.formatSharedAmount(personal)}</span>
+      </div>
+    `).join('');
+
+    const confirmed = await Utils.confirm({
+      title: 'Auto-link Transactions',
+      html: `
+        <p>Found <strong>${plan.length}</strong> unambiguous pair${plan.length !== 1 ? 's' : ''}. Each will get a new link ID in both memos.</p>
+        <div class="confirm-detail-list auto-link-list">${rows}</div>
+        ${ambiguousCount > 0 ? `<p class="confirm-note">${ambiguousCount} transaction${ambiguousCount !== 1 ? 's have' : ' has'} several close candidates and will be left for manual linking.</p>` : ''}
+      `,
+      confirmText: `Link ${plan.length}`,
+      cancelText: 'Cancel'
+    });
+
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    // Give every pair its ID up front, then write all memos in one bulk request per budget
+    const links = plan.map(({ personal, shared, member }) => {
+      const newId = this.generateId();
+      return {
+        personal,
+        shared,
+        member,
+        personalNewMemo: this.appendIdToMemo(personal.memo, newId),
+        sharedNewMemo: this.appendIdToMemo(shared.memo, newId)
+      };
+    });
+
+    let updated = {};
+    try {
+      updated = await YnabClient.updateTransactionsByBudget(links.flatMap(link => [
+        { budgetId: link.member.budgetId, transaction: { id: link.personal.id, memo: link.personalNewMemo } },
+        { budgetId: config.sharedBudgetId, transaction: { id: link.shared.id, memo: link.sharedNewMemo } }
+      ]));
+    } catch (error) {
+      console.error('Failed to auto-link transactions:', error);
+      Utils.showToast(`Failed to auto-link: ${error.message}`, 'error');
+      // Some budgets may already have been written - reload to show the real state
+      this.cancelLinking();
+      await this.loadData(true);
+      return;
     }
+
+    // A pair only counts as linked if both sides came back updated
+    const updatedIds = new Set(Object.values(updated).flat().map(t => t.id));
+    let linked = 0;
+    links.forEach(link => {
+      if (updatedIds.has(link.personal.id)) {
+        this.updateLocalTransactionMemo(link.personal.id, link.personalNewMemo, 'personal', link.member.name);
+      }
+      if (updatedIds.has(link.shared.id)) {
+        this.updateLocalTransactionMemo(link.shared.id, link.sharedNewMemo, 'shared', link.member.name);
+      }
+      if (updatedIds.has(link.personal.id) && updatedIds.has(link.shared.id)) linked++;
+    });
+
+    const failed = links.length - linked;
+    if (failed === 0) {
+      Utils.showToast(`Linked ${linked} pair${linked !== 1 ? 's' : ''}`, 'success');
+    } else if (linked > 0) {
+      Utils.showToast(`Linked ${linked} pair${linked !== 1 ? 's' : ''}, ${failed} failed`, 'warning');
+    }
+
+    this.cancelLinking();
+    // Sync computed state from Store
+    this.state.linkedPairs = Store.state.linkedPairs || [];
+    this.state.unlinkedPersonal = Store.state.unlinkedPersonal || {};
+    this.state.unlinkedShared = Store.state.unlinkedShared || {};
+    this.state.linkedPersonal = Store.state.linkedPersonal || {};
+    this.state.linkedShared = Store.state.linkedShared || {};
+    this.renderAll();
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
   async duplicateToShared(personalTxnId) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const member = this.state.selectedMember;
     const config = Store.getConfig();
@@ -2059,8 +2434,26 @@ const Consistency = {
 
     if (!txn || !memberConfig) return;
 
+    let categories;
+    try {
+      categories = await this.loadSharedCategories();
+    } catch (error) {
+      console.error('Failed to load shared categories:', error);
+      Utils.showToast(`Failed to load categories: ${error.message}`, 'error');
+      return;
+    }
+
+    // Propose the category this payee got last time in the shared budget
+    const suggestion = Matching.suggestCategory(
+      txn.payee_name, Store.getTransactions(config.sharedBudgetId), categories
+    );
+    const suggestedCategory = suggestion && categories.find(c => c.id === suggestion.categoryId);
+
+    // Partially-shared splits only copy their shared portion
+    const sharedAmount = TxnTypes.getSharedAmount(txn);
     const newId = this.generateId();
     const newMemo = this.appendIdToMemo(txn.memo, newId);
+    let splitEditor = null;
 
     const confirmed = await Utils.confirm({
       title: 'Copy to Shared Budget',
@@ -2068,56 +2461,74 @@ const Consistency = {
         <div class="confirm-detail-list">
           <div class="confirm-detail-item">
             <span class="detail-label">${Utils.escapeHtml(txn.payee_name || 'Unknown')}<br><small>${txn.date}</small></span>
-            <span class="detail-value">${Utils.formatCurrency(YnabClient.fromMilliunits(txn.amount))}</span>
+            <span class="detail-value">${this.formatSharedAmount(txn)}</span>
+          </div>
+        </div>
+        ${TxnTypes.isPartiallyShared(txn) ? `<p>Only the shared portion of this split is copied.</p>` : ''}
+        <div class="split-editor">
+          <div class="split-rows"></div>
+          <div class="split-footer">
+            <button type="button" class="btn btn-secondary btn-small split-add">+ Add split</button>
+            <span class="split-remaining"></span>
           </div>
+          ${suggestedCategory ? `
+            <small class="split-suggestion">Suggested <strong>${Utils.escapeHtml(suggestedCategory.name)}</strong> from the last ${Utils.escapeHtml(txn.payee_name)} transaction (${suggestion.sourceTxn.date})</small>
+          ` : ''}
         </div>
-        <p>This will create a matching transaction in the shared budget and link them with ID <code>#${Utils.escapeHtml(newId)}#</code></p>
+        <p>This will create a matching transaction in the shared budget and link them with ID <code>#${Utils.escapeHtml(newId)}#</code>. Add splits to spread it across several categories.</p>
       `,
       confirmText: 'Copy & Link',
-      cancelText: 'Cancel'
+      cancelText: 'Cancel',
+      onReady: (modal) => {
+        splitEditor = this.bindSplitEditor(modal, sharedAmount, categories, suggestion?.categoryId);
+      }
     });
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    const lines = splitEditor.getLines();
+    const newTxn = {
+      account_id: memberConfig.contributionAccountId,
+      date: txn.date,
+      amount: sharedAmount,
+      payee_name: txn.payee_name,
+      memo: newMemo,
+      cleared: 'cleared',
+      approved: true
+    };
+
+    if (lines.length > 1) {
+      // Split transaction: every line carries the same link ID
+      newTxn.category_id = null;
+      newTxn.subtransactions = lines.map(line => ({
+        amount: line.amount,
+        category_id: line.categoryId,
+        memo: this.formatIdTag(newId)
+      }));
+    } else if (lines[0]?.categoryId) {
+      newTxn.category_id = lines[0].categoryId;
+    }
+
     try {
       // Create in shared budget
-      const newSharedTxn = await YnabClient.createTransaction(config.sharedBudgetId, {
-        account_id: memberConfig.contributionAccountId,
-        date: txn.date,
-        amount: txn.amount,
-        payee_name: txn.payee_name,
-        memo: newMemo,
-        cleared: 'cleared',
-        approved: true
-      });
+      const newSharedTxn = await YnabClient.createTransaction(config.sharedBudgetId, newTxn);
 
       // Update original transaction memo
       await YnabClient.updateTransaction(memberConfig.budgetId, personalTxnId, {
         memo: newMemo
       });
 
-      Utils.showToast('Transaction copied and linked', 'success');
-
+      Utils.showToast(lines.length > 1
+        ? `Transaction copied as ${lines.length}-way split and linked`
+        : 'Transaction copied and linked', 'success');
       // Update local state - update personal memo and add new shared transaction
       this.updateLocalTransactionMemo(personalTxnId, newMemo, 'personal');
 
       // Add the new shared transaction to local state
-      if (!this.state.transactions.shared[member]) {
-        this.state.transactions.shared[member] = [];
-      }
-      this.state.transactions.shared[member].push({
-        ...newSharedTxn,
-        memberName: member,
-        accountId: memberConfig.contributionAccountId,
-        source: 'shared'
-      });
-
-      // Sync new transaction to Store so derived state recomputes
-      Store.updateTransaction(config.sharedBudgetId, newSharedTxn);
-
-      // Update shared account balance locally
-      this.state.accountBalances[member] = (this.state.accountBalances[member] || 0)
-        + YnabClient.fromMilliunits(txn.amount);
+      this.addLocalSharedTransaction(newSharedTxn, memberConfig);
 
       // Re-sync from Store (now up-to-date) and render
       this.state.linkedPairs = Store.state.linkedPairs || [];
@@ -2133,10 +2544,317 @@ const Consistency = {
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
 
+  renderBulkActions() {
+    const bar = this.elements.personalBulkActions;
+    if (!bar) return;
+    const count = this.state.selectedForCopy.size;
+    bar.style.display = count > 0 ? 'flex' : 'none';
+    bar.querySelector('.bulk-actions-count').textContent = `${count} selected`;
+  },
+
+  /**
+   * Copy every selected personal transaction to the shared budget
+   * One bulk create in the shared budget, then one bulk memo update in the
+   * personal budget. Created transactions are matched back by link ID.
+   */
+  async copySelectedToShared() {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const member = this.state.selectedMember;
+    const config = Store.getConfig();
+    const memberConfig = config.members.find(m => m.name === member);
+    const txns = (this.state.unlinkedPersonal[member] || [])
+      .filter(t => this.state.selectedForCopy.has(t.id));
+
+    if (!memberConfig || txns.length === 0) return;
+
+    let categories;
+    try {
+      categories = await this.loadSharedCategories();
+    } catch (error) {
+      console.error('Failed to load shared categories:', error);
+      Utils.showToast(`Failed to load categories: ${error.message}`, 'error');
+      return;
+    }
+
+    const sharedHistory = Store.getTransactions(config.sharedBudgetId);
+    const items = txns.map(txn => {
+      const linkId = this.generateId();
+      const suggestion = Matching.suggestCategory(txn.payee_name, sharedHistory, categories);
+      return {
+        txn,
+        linkId,
+        memo: this.appendIdToMemo(txn.memo, linkId),
+        amount: TxnTypes.getSharedAmount(txn),
+        category: suggestion ? categories.find(c => c.id === suggestion.categoryId) : null
+      };
+    });
+
+    const rows = items.map(item => `
+      <div class="confirm-detail-item">
+        <span class="detail-label">
+          ${Utils.escapeHtml(item.txn.payee_name || 'Unknown')}
+          <br><small>${item.txn.date} &middot; ${item.category ? Utils.escapeHtml(item.category.name) : 'Uncategorized'}</small>
+        </span>
+        <span class="detail-value">${this.formatSharedAmount(item.txn)}</span>
+      </div>
+    `).join('');
+
+    const confirmed = await Utils.confirm({
+      title: 'Copy to Shared Budget',
+      html: `
+        <p>Copy <strong>${items.length}</strong> transaction${items.length !== 1 ? 's' : ''} to ${Utils.escapeHtml(member)}'s shared account and link each with a new ID.</p>
+        <div class="confirm-detail-list auto-link-list">${rows}</div>
+        <p class="confirm-note">Categories are suggested from payee history. Use the per-row copy button to pick categories or split a transaction.</p>
+      `,
+      confirmText: `Copy ${items.length}`,
+      cancelText: 'Cancel'
+    });
+
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    // Per-transaction outcome: 'linked', 'copy-failed' or 'memo-failed'
+    const results = new Map(items.map(item => [item.linkId, { item, status: 'copy-failed', error: null }]));
+
+    let created = [];
+    try {
+      const response = await YnabClient.createTransactions(config.sharedBudgetId, items.map(item => ({
+        account_id: memberConfig.contributionAccountId,
+        date: item.txn.date,
+        amount: item.amount,
+        payee_name: item.txn.payee_name,
+        category_id: item.category?.id || null,
+        memo: item.memo,
+        cleared: 'cleared',
+        approved: true
+      })));
+      created = response.transactions;
+    } catch (error) {
+      console.error('Failed to bulk create transactions:', error);
+      results.forEach(result => { result.error = error.message; });
+    }
+
+    // Match created shared transactions back to their personal source by link ID
+    const createdById = new Map();
+    created.forEach(t => {
+      const linkId = TxnTypes.getLinkId(t);
+      if (results.has(linkId)) createdById.set(linkId, t);
+    });
+
+    if (createdById.size > 0) {
+      const memoUpdates = items
+        .filter(item => createdById.has(item.linkId))
+        .map(item => ({ id: item.txn.id, memo: item.memo }));
+
+      try {
+        const updated = await YnabClient.updateTransactions(memberConfig.budgetId, memoUpdates);
+        const updatedIds = new Set(updated.map(t => t.id));
+        createdById.forEach((sharedTxn, linkId) => {
+          const result = results.get(linkId);
+          result.status = updatedIds.has(result.item.txn.id) ? 'linked' : 'memo-failed';
+        });
+      } catch (error) {
+        console.error('Failed to bulk update personal memos:', error);
+        createdById.forEach((sharedTxn, linkId) => {
+          Object.assign(results.get(linkId), { status: 'memo-failed', error: error.message });
+        });
+      }
+    }
+
+    // Apply successful changes locally
+    createdById.forEach((sharedTxn, linkId) => {
+      const { item, status } = results.get(linkId);
+      if (status === 'linked') {
+        this.updateLocalTransactionMemo(item.txn.id, item.memo, 'personal');
+      }
+      this.addLocalSharedTransaction(sharedTxn, memberConfig);
+    });
+
+    const all = Array.from(results.values());
+    const linkedCount = all.filter(r => r.status === 'linked').length;
+    this.state.selectedForCopy.clear();
+
+    // Re-sync from Store (now up-to-date) and render
+    this.state.linkedPairs = Store.state.linkedPairs || [];
+    this.state.unlinkedPersonal = Store.state.unlinkedPersonal || {};
+    this.state.unlinkedShared = Store.state.unlinkedShared || {};
+    this.state.linkedPersonal = Store.state.linkedPersonal || {};
+    this.state.linkedShared = Store.state.linkedShared || {};
+    this.renderAll();
+
+    if (linkedCount === all.length) {
+      Utils.showToast(`Copied and linked ${linkedCount} transaction${linkedCount !== 1 ? 's' : ''}`, 'success');
+      return;
+    }
+
+    const statusLabels = {
+      'linked': '<span class="text-success">&#10003; Copied &amp; linked</span>',
+      'copy-failed': '<span class="text-danger">&#10005; Not copied</span>',
+      'memo-failed': '<span class="text-danger">&#10005; Copied, personal memo not updated</span>'
+    };
+    await Utils.confirm({
+      title: 'Copy Results',
+      html: `
+        <p>${linkedCount} of ${all.length} transactions were copied and linked.</p>
+        <div class="confirm-detail-list auto-link-list">
+          ${all.map(({ item, status, error }) => `
+            <div class="confirm-detail-item">
+              <span class="detail-label">
+                ${Utils.escapeHtml(item.txn.payee_name || 'Unknown')} <small>${item.txn.date}</small>
+                ${error && status !== 'linked' ? `<br><small>${Utils.escapeHtml(error)}</small>` : ''}
+              </span>
+              <span class="detail-value">${statusLabels[status]}</span>
+            </div>
+          `).join('')}
+        </div>
+        ${all.some(r => r.status === 'memo-failed') ? `
+          <div class="confirm-warning">Shared copies without an updated personal memo show up as unlinked on the right. Link them manually to finish.</div>
+        ` : ''}
+      `,
+      confirmText: 'OK',
+      cancelText: 'Close'
+    });
+    } finally {
+      this._busy = false;
+      releaseLock?.();
+    }
+  },
+
+  // Add a newly created shared transaction to local state and Store
+  addLocalSharedTransaction(sharedTxn, memberConfig) {
+    const config = Store.getConfig();
+    const member = memberConfig.name;
+
+    if (!this.state.transactions.shared[member]) {
+      this.state.transactions.shared[member] = [];
+    }
+    this.state.transactions.shared[member].push({
+      ...sharedTxn,
+      memberName: member,
+      accountId: memberConfig.contributionAccountId,
+      source: 'shared'
+    });
+
+    // Sync new transaction to Store so derived state recomputes
+    Store.updateTransaction(config.sharedBudgetId, sharedTxn);
+
+    // Update shared account balance locally
+    this.state.accountBalances[member] = (this.state.accountBalances[member] || 0)
+      + YnabClient.fromMilliunits(sharedTxn.amount);
+  },
+
+  /**
+   * Load shared budget categories for the copy dialog (cached until refresh)
+   * @returns {Promise<Array<{id, name, group}>>}
+   */
+  async loadSharedCategories() {
+    if (this.state.sharedCategories) return this.state.sharedCategories;
+
+    const config = Store.getConfig();
+    const categoryGroups = await DataService.getCategoryGroups(config.sharedBudgetId);
+
+    const categories = [];
+    for (const group of (categoryGroups || [])) {
+      if (group.hidden || group.deleted) continue;
+      for (const cat of (group.categories || [])) {
+        if (cat.hidden || cat.deleted) continue;
+        categories.push({ id: cat.id, name: cat.name, group: group.name });
+      }
+    }
+
+    this.state.sharedCategories = categories;
+    return categories;
+  },
+
+  /**
+   * Wire up the split editor inside the copy dialog
+   * Rows hold a category and an amount; the confirm button stays disabled until
+   * the rows add up to the transaction amount.
+   * @param {HTMLElement} modal - Confirm modal element
+   * @param {number} totalAmount - Transaction amount in milliunits (signed)
+   * @param {Array} categories - From loadSharedCategories()
+   * @param {string} [suggestedCategoryId] - Preselected on the first row
+   * @returns {{getLines: function(): Array<{categoryId, amount}>}}
+   */
+  bindSplitEditor(modal, totalAmount, categories, suggestedCategoryId = null) {
+    const rowsEl = modal.querySelector('.split-rows');
+    const remainingEl = modal.querySelector('.split-remaining');
+    const confirmBtn = modal.querySelector('.confirm-ok');
+    const sign = totalAmount < 0 ? -1 : 1;
+    const total = Math.abs(totalAmount);
+
+    const categoryOptions = categories.map(c =>
+      `<option value="${c.id}">${Utils.escapeHtml(c.group)} → ${Utils.escapeHtml(c.name)}</option>`
+    ).join('');
+
+    const readRows = () => Array.from(rowsEl.querySelectorAll('.split-row')).map(row => ({
+      categoryId: row.querySelector('.split-category').value || null,
+      amount: YnabClient.toMilliunits(parseFloat(row.querySelector('.split-amount').value) || 0)
+    }));
+
+    const update = () => {
+      const rows = readRows();
+      const allocated = rows.reduce((sum, r) => sum + r.amount, 0);
+      const remaining = total - allocated;
+      const isSplit = rows.length > 1;
+
+      rowsEl.classList.toggle('is-split', isSplit);
+      remainingEl.classList.toggle('text-danger', remaining !== 0);
+      remainingEl.textContent = remaining === 0
+        ? (isSplit ? 'Fully allocated' : '')
+        : `${remaining > 0 ? 'Remaining' : 'Over by'} ${Utils.formatCurrency(YnabClient.fromMilliunits(Math.abs(remaining)))}`;
+
+      // Splits need a category and a positive amount on every line
+      const valid = remaining === 0 &&
+        rows.every(r => r.amount > 0) &&
+        (!isSplit || rows.every(r => r.categoryId));
+      confirmBtn.disabled = !valid;
+    };
+
+    const addRow = (amount, categoryId = null) => {
+      const row = document.createElement('div');
+      row.className = 'split-row';
+      row.innerHTML = `
+        <select class="split-category">
+          <option value="">Uncategorized</option>
+          ${categoryOptions}
+        </select>
+        <input type="number" class="split-amount" min="0" step="0.01" value="${YnabClient.fromMilliunits(amount)}">
+        <button type="button" class="btn-txn-action split-remove" title="Remove split">&#10005;</button>
+      `;
+      if (categoryId) row.querySelector('.split-category').value = categoryId;
+      row.querySelector('.split-category').addEventListener('change', update);
+      row.querySelector('.split-amount').addEventListener('input', update);
+      row.querySelector('.split-remove').addEventListener('click', () => {
+        if (rowsEl.children.length > 1) row.remove();
+        update();
+      });
+      rowsEl.appendChild(row);
+      update();
+    };
+
+    modal.querySelector('.split-add').addEventListener('click', () => {
+      const allocated = readRows().reduce((sum, r) => sum + r.amount, 0);
+      addRow(Math.max(total - allocated, 0));
+    });
+
+    addRow(total, suggestedCategoryId);
+
+    return {
+      getLines: () => readRows().map(r => ({ categoryId: r.categoryId, amount: sign * r.amount }))
+    };
+  },
+
   renderLinkedPairs() {
     const member = this.state.selectedMember;
     const memberPairs = this.state.linkedPairs.filter(p => {
@@ -2168,11 +2886,12 @@ const Consistency = {
       const displayName = txnName ? Utils.escapeHtml(txnName) : '<span class="text-muted">-</span>';
 
       const personalInfo = personalTxns.length > 0
-        ? `${personalTxns[0].date}<br><span class="txn-amount">${Utils.formatCurrency(YnabClient.fromMilliunits(personalTxns[0].amount))}</span>`
+        ? `${personalTxns[0].date}<br><span class="txn-amount">${this.formatSharedAmount(personalTxns[0])}</span>`
         : '<span class="text-muted">-</span>';
 
+      const sharedSplitCount = sharedTxns.length > 0 ? TxnTypes.getSubtransactions(sharedTxns[0]).length : 0;
       const sharedInfo = sharedTxns.length > 0
-        ? `${sharedTxns[0].date}<br><span class="txn-amount">${Utils.formatCurrency(YnabClient.fromMilliunits(sharedTxns[0].amount))}</span>`
+        ? `${sharedTxns[0].date}<br><span class="txn-amount">${Utils.formatCurrency(YnabClient.fromMilliunits(sharedTxns[0].amount))}</span>${sharedSplitCount > 0 ? ` <span class="split-badge" title="${Utils.escapeHtml(TxnTypes.getSubtransactions(sharedTxns[0]).map(sub => sub.category_name || 'Uncategorized').join(', '))}">Split ×${sharedSplitCount}</span>` : ''}`
         : '<span class="text-muted">-</span>';
 
       const typeBadge = this.getLinkTypeBadge(pair);
@@ -2184,6 +2903,10 @@ const Consistency = {
         if (missing.length > 0) {
           missingHtml = `<div class="incomplete-details">Missing: ${missing.map(m => `<span class="missing-item">${m}</span>`).join('')}</div>`;
         }
+        const splitIssues = [...personalTxns, ...sharedTxns].flatMap(t => TxnTypes.getSplitIssues(t, pair.id));
+        if (splitIssues.length > 0) {
+          missingHtml += `<div class="incomplete-details">Split: ${splitIssues.map(m => `<span class="missing-item">${m}</span>`).join('')}</div>`;
+        }
       }
 
       return `
@@ -2256,7 +2979,7 @@ const Consistency = {
           <td>
             <div class="monthly-config-cell">
               <input type="number" class="monthly-amount-input"
-                data-month="${monthStr}" data-member="${member}"
+                data-month="${monthStr}" data-member="${Utils.escapeHtml(member)}"
                 value="${savedAmount}" placeholder="0.00" step="0.01">
               ${linkedTxn
                 ? `<span class="monthly-linked" title="${Utils.formatCurrency(YnabClient.fromMilliunits(linkedTxn.amount))}">✓</span>`
@@ -2333,6 +3056,7 @@ const Consistency = {
   async createMonthlyIncome(monthStr) {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
       const member = this.state.selectedMember;
       const config = Store.getConfig();
@@ -2379,6 +3103,9 @@ const Consistency = {
 
       if (!confirmed) return;
 
+      releaseLock = await TabSync.acquireWriteLock();
+      if (!releaseLock) return;
+
       await YnabClient.createTransaction(config.sharedBudgetId, {
         account_id: memberConfig.contributionAccountId,
         date: `${monthStr}-01`,
@@ -2396,6 +3123,7 @@ const Consistency = {
       Utils.showToast(`Failed to create: ${error.message}`, 'error');
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -4,8 +4,9 @@
  * This service dramatically reduces API calls by:
  * 1. Caching transactions per budget with delta sync (server_knowledge)
  * 2. Loading all transactions at once, then filtering client-side
- * 3. Caching month data to avoid repeated fetches
- * 4. Using the full budget endpoint which returns everything in one call
+ * 3. Keeping budget details (accounts, categories, months) current with
+ *    server_knowledge deltas on the full budget endpoint, so month data
+ *    never needs its own requests
  *
  * API Request Savings:
  * - Before: 240+ requests for Monthly (60 months × 2 members × 2 calls each)
@@ -14,23 +15,22 @@
 const DataService = {
   // In-memory cache for the current session
   _memoryCache: {
-    transactions: {},  // { budgetId: { data, timestamp, sinceDate } }
-    months: {},        // { budgetId_month: { data, timestamp } }
-    budgets: {}        // { budgetId: { data, timestamp } }
+    transactions: {}   // { budgetId: { data, timestamp, sinceDate } }
   },
 
   // Track if we've shown quota warning this session
   _quotaWarningShown: false,
 
-  // Track budgets where localStorage caching failed (use memory only)
+  // Track budgets where IndexedDB caching failed (use memory only)
   _storageFailed: new Set(),
 
-  // Memory cache TTL (10 minutes for in-session, still validates with localStorage)
+  // Memory cache TTL (10 minutes for in-session, still validates with IndexedDB)
   MEMORY_CACHE_TTL: 10 * 60 * 1000,
 
   /**
    * Get all transactions for a budget (cached with delta sync)
    * This is the main method - all modules should use this
+   * Writes still waiting in the Outbox are overlaid on the result.
    */
   async getTransactions(budgetId, options = {}) {
     const {
@@ -47,19 +47,19 @@ const DataService = {
 
       // If memory cache covers the requested date range, use it
       if (!memCachedSinceDate || requestedSinceDate >= memCachedSinceDate) {
-        return this._filterTransactions(memCached.data, options);
+        return this._filterTransactions(Outbox.applyPending(budgetId, memCached.data), options);
       }
 
       // Need older data than memory cache has - check if storage failed previously
       if (this._storageFailed.has(budgetId)) {
         // Storage failed before, just use what we have
         console.log(`[DataService] Storage failed previously for ${budgetId}, using memory cache`);
-        return this._filterTransactions(memCached.data, options);
+        return this._filterTransactions(Outbox.applyPending(budgetId, memCached.data), options);
       }
     }
 
-    // Check localStorage cache (skip if storage already failed for this budget)
-    const storageCached = this._storageFailed.has(budgetId) ? null : Storage.getCachedTransactions(budgetId);
+    // Check IndexedDB cache (skip if storage already failed for this budget)
+    const storageCached = this._storageFailed.has(budgetId) ? null : await TxnDb.getCachedTransactions(budgetId);
 
     if (storageCached && !forceRefresh) {
       const cachedSinceDate = storageCached.sinceDate;
@@ -78,36 +78,14 @@ const DataService = {
           lastKnowledge: serverKnowledge
         });
 
-        // Merge delta with cached data
-        if (result.transactions.length > 0) {
-          Storage.updateCachedTransactions(budgetId, result.transactions, result.serverKnowledge);
-          // Get the merged result
-          const updated = Storage.getCachedTransactions(budgetId, Infinity);
-          this._memoryCache.transactions[budgetId] = {
-            data: updated.transactions,
-            timestamp: Date.now(),
-            sinceDate: cachedSinceDate
-          };
-          // Update Store with merged data
-          Store.setTransactions(budgetId, updated.transactions);
-          return this._filterTransactions(updated.transactions, options);
-        }
-
-        // No changes, use cached data
-        this._memoryCache.transactions[budgetId] = {
-          data: storageCached.transactions,
-          timestamp: Date.now(),
-          sinceDate: cachedSinceDate
-        };
-        // Update Store with cached data
-        Store.setTransactions(budgetId, storageCached.transactions);
-        return this._filterTransactions(storageCached.transactions, options);
+        const transactions = await this._applyDelta(budgetId, result, storageCached);
+        return this._filterTransactions(Outbox.applyPending(budgetId, transactions), options);
 
       } catch (error) {
         console.warn('Delta sync failed, using cached data:', error);
         // Still update Store with cached data
-        Store.setTransactions(budgetId, storageCached.transactions);
-        return this._filterTransactions(storageCached.transactions, options);
+        Store.setTransactions(budgetId, Outbox.applyPending(budgetId, storageCached.transactions));
+        return this._filterTransactions(Outbox.applyPending(budgetId, storageCached.transactions), options);
       }
     }
 
@@ -115,6 +93,34 @@ const DataService = {
     return this._fetchAndCacheTransactions(budgetId, requestedSinceDate, options);
   },
 
+  /**
+   * Merge a delta into IndexedDB, then refresh the memory cache and Store
+   * The cache's server knowledge and fetch time are bumped even when nothing
+   * changed, so it stays fresh between syncs.
+   * @param {string} budgetId
+   * @param {{transactions: Array, serverKnowledge: number}} delta
+   * @param {{transactions: Array, sinceDate: string}} cached - Current cache contents
+   * @returns {Promise<Array>} Merged transactions
+   */
+  async _applyDelta(budgetId, delta, cached) {
+    let transactions = cached.transactions;
+
+    // Only the changed rows are written
+    await TxnDb.updateCachedTransactions(budgetId, delta.transactions, delta.serverKnowledge);
+    if (delta.transactions.length > 0) {
+      const updated = await TxnDb.getCachedTransactions(budgetId, Infinity);
+      transactions = updated?.transactions || transactions;
+    }
+
+    this._memoryCache.transactions[budgetId] = {
+      data: transactions,
+      timestamp: Date.now(),
+      sinceDate: cached.sinceDate
+    };
+    Store.setTransactions(budgetId, Outbox.applyPending(budgetId, transactions));
+    return transactions;
+  },
+
   /**
    * Fetch transactions from API and attempt to cache them
    * Handles quota exceeded errors and API errors gracefully
@@ -126,10 +132,10 @@ const DataService = {
       });
 
       // Try to cache the results
-      const cacheSuccess = Storage.setCachedTransactions(budgetId, result.transactions, result.serverKnowledge, sinceDate);
+      const cacheSuccess = await TxnDb.setCachedTransactions(budgetId, result.transactions, result.serverKnowledge, sinceDate);
 
       if (!cacheSuccess) {
-        // Storage failed (likely quota exceeded)
+        // IndexedDB unavailable (e.g. private browsing) or out of disk space
         this._storageFailed.add(budgetId);
         this._showQuotaWarning();
       }
@@ -142,19 +148,19 @@ const DataService = {
       };
 
       // Update Store with fresh data
-      Store.setTransactions(budgetId, result.transactions);
+      Store.setTransactions(budgetId, Outbox.applyPending(budgetId, result.transactions));
 
-      return this._filterTransactions(result.transactions, options);
+      return this._filterTransactions(Outbox.applyPending(budgetId, result.transactions), options);
 
     } catch (error) {
       // Check if we have any cached data to fall back to
       const memCached = this._memoryCache.transactions[budgetId];
-      const storageCached = Storage.getCachedTransactions(budgetId);
+      const storageCached = await TxnDb.getCachedTransactions(budgetId, Infinity);
 
       if (memCached?.data?.length > 0) {
         console.warn(`[DataService] API fetch failed, using memory cache:`, error.message);
         this._showApiError(error);
-        return this._filterTransactions(memCached.data, options);
+        return this._filterTransactions(Outbox.applyPending(budgetId, memCached.data), options);
       }
 
       if (storageCached?.transactions?.length > 0) {
@@ -165,8 +171,8 @@ const DataService = {
           timestamp: Date.now(),
           sinceDate: storageCached.sinceDate
         };
-        Store.setTransactions(budgetId, storageCached.transactions);
-        return this._filterTransactions(storageCached.transactions, options);
+        Store.setTransactions(budgetId, Outbox.applyPending(budgetId, storageCached.transactions));
+        return this._filterTransactions(Outbox.applyPending(budgetId, storageCached.transactions), options);
       }
 
       // No cache available, re-throw with user-friendly message
@@ -214,12 +220,12 @@ const DataService = {
     // Use Utils.showToast if available, otherwise console
     if (typeof Utils !== 'undefined' && Utils.showToast) {
       Utils.showToast(
-        'Storage limit reached. Data will be cached in memory only for this session. Consider using a shorter time range.',
+        'Could not save transactions to the browser cache. Data will be kept in memory only for this session.',
         'warning',
         8000
       );
     } else {
-      console.warn('[DataService] Storage quota exceeded - using memory-only cache');
+      console.warn('[DataService] IndexedDB write failed - using memory-only cache');
     }
   },
 
@@ -234,9 +240,9 @@ const DataService = {
       filtered = filtered.filter(t => t.account_id === options.accountId);
     }
 
-    // Filter by category
+    // Filter by category (split transactions match on any of their lines)
     if (options.categoryId) {
-      filtered = filtered.filter(t => t.category_id === options.categoryId);
+      filtered = filtered.filter(t => TxnTypes.matchesCategory(t, options.categoryId));
     }
 
     // Filter by date range
@@ -257,8 +263,8 @@ const DataService = {
   },
 
   /**
-   * Default since date (2 years back to balance coverage vs storage)
-   * Reduces localStorage usage while covering typical use cases
+   * Default since date (2 years back to keep the first sync quick)
+   * Older history is fetched on demand, e.g. by the Analytics "all" range
    */
   _getDefaultSinceDate() {
     const date = new Date();
@@ -266,48 +272,148 @@ const DataService = {
     return date.toISOString().split('T')[0];
   },
 
+  // ==================
+  // Budget Details (accounts, categories, months)
+  // ==================
+
+  // Details are re-checked with a delta request once they're older than this
+  BUDGET_SYNC_TTL: 2 * 60 * 1000,
+
+  // Parts of the full budget payload we don't keep (transactions live in TxnDb's own stores)
+  BUDGET_OMIT_FIELDS: ['transactions', 'subtransactions', 'scheduled_transactions', 'scheduled_subtransactions', 'payee_locations'],
+
+  _budgetSyncedAt: {},   // { budgetId: timestamp of last delta check }
+  _budgetKnowledge: {},  // { budgetId: server_knowledge of the details in Store }
+  _budgetRequests: {},   // { budgetId: Promise } so parallel callers share one request
+
   /**
-   * Get month data for a budget (category budgeted amounts, balances, etc.)
-   * Uses caching to avoid repeated calls
+   * Get budget details (accounts, categories, category groups, months)
+   * Served from Store; the first load fetches the full budget, later ones only
+   * ask YNAB for what changed since (last_knowledge_of_server). Falls back to
+   * the cached copy when the API can't be reached.
    */
-  async getMonthData(budgetId, month) {
-    const cacheKey = `${budgetId}_${month}`;
+  async getBudgetDetails(budgetId, options = {}) {
+    const { forceRefresh = false } = options;
+    const cached = Store.getBudgetDetails(budgetId);
+    const age = Date.now() - (this._budgetSyncedAt[budgetId] || 0);
 
-    // Check memory cache
-    const memCached = this._memoryCache.months[cacheKey];
-    if (memCached && Date.now() - memCached.timestamp < this.MEMORY_CACHE_TTL) {
-      return memCached.data;
+    if (cached && !forceRefresh && age < this.BUDGET_SYNC_TTL) {
+      return cached;
     }
 
-    // Check localStorage
-    const storageCached = Storage.getCachedMonthData(budgetId, month);
-    if (storageCached) {
-      this._memoryCache.months[cacheKey] = {
-        data: storageCached,
-        timestamp: Date.now()
-      };
-      return storageCached;
+    if (!this._budgetRequests[budgetId]) {
+      this._budgetRequests[budgetId] = this._syncBudgetDetails(budgetId)
+        .finally(() => delete this._budgetRequests[budgetId]);
     }
+    return this._budgetRequests[budgetId];
+  },
+
+  async _syncBudgetDetails(budgetId) {
+    let budget = Store.getBudgetDetails(budgetId);
+    let serverKnowledge = this._budgetKnowledge[budgetId];
 
-    // Fetch from API
-    const monthData = await YnabClient.getMonth(budgetId, month);
+    // First access this session: start from the IndexedDB copy
+    if (!budget) {
+      const stored = await TxnDb.getBudgetDetails(budgetId);
+      if (stored) {
+        budget = stored.budget;
+        serverKnowledge = stored.serverKnowledge;
+      }
+    }
 
-    // Cache it
-    Storage.setCachedMonthData(budgetId, month, monthData);
-    this._memoryCache.months[cacheKey] = {
-      data: monthData,
-      timestamp: Date.now()
+    try {
+      const result = await YnabClient.getBudget(budgetId, budget ? serverKnowledge : null);
+      const fetched = this._stripBudget(result.budget);
+      budget = budget ? this._mergeBudgetDelta(budget, fetched) : fetched;
+      serverKnowledge = result.serverKnowledge;
+      await TxnDb.setBudgetDetails(budgetId, budget, serverKnowledge);
+    } catch (error) {
+      if (!budget) throw error;
+      console.warn('[DataService] Budget delta failed, using cached details:', error.message);
+      this._showApiError(error);
+    }
+
+    this._budgetKnowledge[budgetId] = serverKnowledge;
+    this._budgetSyncedAt[budgetId] = Date.now();
+    Store.setBudgetDetails(budgetId, budget);
+    return budget;
+  },
+
+  _stripBudget(budget) {
+    const stripped = { ...budget };
+    this.BUDGET_OMIT_FIELDS.forEach(field => delete stripped[field]);
+    return stripped;
+  },
+
+  /**
+   * Merge a budget delta into the cached details
+   * Entities are replaced by ID (deleted ones removed); months are matched by
+   * date and their categories merged the same way.
+   */
+  _mergeBudgetDelta(budget, delta) {
+    const mergeById = (current = [], changes = []) => {
+      const byId = new Map(current.map(e => [e.id, e]));
+      changes.forEach(e => {
+        if (e.deleted) {
+          byId.delete(e.id);
+        } else {
+          byId.set(e.id, { ...byId.get(e.id), ...e });
+        }
+      });
+      return Array.from(byId.values());
     };
 
-    return monthData;
+    const merged = { ...budget };
+    Object.entries(delta).forEach(([key, value]) => {
+      if (key === 'months') return;
+      merged[key] = Array.isArray(value) ? mergeById(budget[key], value) : value;
+    });
+
+    const months = new Map((budget.months || []).map(m => [m.month, m]));
+    (delta.months || []).forEach(m => {
+      const existing = months.get(m.month);
+      months.set(m.month, existing
+        ? { ...existing, ...m, categories: mergeById(existing.categories, m.categories) }
+        : m);
+    });
+    merged.months = Array.from(months.values()).sort((a, b) => b.month.localeCompare(a.month));
+
+    return merged;
+  },
+
+  /**
+   * Get month data for a budget (category budgeted amounts, balances, etc.)
+   * Read from the budget details, so a year of history costs no extra requests
+   */
+  async getMonthData(budgetId, month) {
+    const budget = await this.getBudgetDetails(budgetId);
+    const monthData = budget.months?.find(m => m.month === month);
+    if (monthData) return monthData;
+
+    // Outside the budget's months (e.g. far future) - ask YNAB directly
+    return YnabClient.getMonth(budgetId, month);
+  },
+
+  /**
+   * Get a budget's accounts (open and closed)
+   */
+  async getAccounts(budgetId) {
+    const budget = await this.getBudgetDetails(budgetId);
+    return (budget.accounts || []).filter(a => !a.deleted);
   },
 
   /**
-   * Get budget details (accounts, categories, etc.)
-   * This wraps App.loadBudgetDetails for consistency
+   * Get category groups with their categories nested, like YnabClient.getCategories
    */
-  async getBudgetDetails(budgetId) {
-    return await App.loadBudgetDetails(budgetId);
+  async getCategoryGroups(budgetId) {
+    const budget = await this.getBudgetDetails(budgetId);
+    const categories = (budget.categories || []).filter(c => !c.deleted);
+    return (budget.category_groups || [])
+      .filter(g => !g.deleted)
+      .map(group => ({
+        ...group,
+        categories: categories.filter(c => c.category_group_id === group.id)
+      }));
   },
 
   /**
@@ -365,19 +471,19 @@ const DataService = {
    */
   invalidateBudgetCache(budgetId) {
     delete this._memoryCache.transactions[budgetId];
-    // Don't clear localStorage - let delta sync handle it
+    // Don't clear IndexedDB - let delta sync handle it
     // Just clear the memory cache timestamp to force a refresh on next access
+    // Account balances changed too; re-check details on next access
+    delete this._budgetSyncedAt[budgetId];
   },
 
   /**
-   * Invalidate month cache for a specific budget and month
-   * Call this after updating category budgets
+   * Invalidate month data for a specific budget and month
+   * Call this after updating category budgets; the next read pulls the
+   * change with a delta request.
    */
   invalidateMonthCache(budgetId, month) {
-    const cacheKey = `${budgetId}_${month}`;
-    delete this._memoryCache.months[cacheKey];
-    // Also clear from localStorage
-    Storage.clearCachedMonthData(budgetId, month);
+    delete this._budgetSyncedAt[budgetId];
   },
 
   /**
@@ -385,11 +491,141 @@ const DataService = {
    */
   clearAllCaches() {
     this._memoryCache = {
-      transactions: {},
-      months: {},
-      budgets: {}
+      transactions: {}
     };
-    Storage.clearAllTransactionCaches();
+    this._budgetSyncedAt = {};
+    this._budgetKnowledge = {};
+    TxnDb.clearAll();
     Storage.clearCache();
+  },
+
+  // ==================
+  // Background Sync
+  // ==================
+
+  // How often to pull changes while the tab is visible
+  SYNC_INTERVAL_MS: 5 * 60 * 1000,
+
+  // Skip background syncs when fewer API requests than this are left this hour
+  SYNC_MIN_QUOTA: 20,
+
+  _syncTimer: null,
+  _syncStarted: false,
+  _lastBackgroundSync: 0,
+
+  /**
+   * Start pulling changes for all configured budgets on an interval
+   * Paused while the tab is hidden; catches up as soon as it's visible again.
+   */
+  startBackgroundSync() {
+    if (this._syncStarted) return;
+    this._syncStarted = true;
+    this._lastBackgroundSync = Date.now();
+    this._onVisibilityChange = () => this._scheduleSync();
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    this._scheduleSync();
+  },
+
+  stopBackgroundSync() {
+    clearTimeout(this._syncTimer);
+    this._syncTimer = null;
+    this._syncStarted = false;
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+  },
+
+  _scheduleSync() {
+    clearTimeout(this._syncTimer);
+    this._syncTimer = null;
+    if (!this._syncStarted || document.hidden) return;
+
+    const due = this._lastBackgroundSync + this.SYNC_INTERVAL_MS - Date.now();
+    this._syncTimer = setTimeout(async () => {
+      await this.syncAll();
+      this._scheduleSync();
+    }, Math.max(0, due));
+  },
+
+  /**
+   * Delta-sync the shared budget and every member budget, then announce
+   * transactions that arrived unlinked
+   */
+  async syncAll() {
+    const config = Store.getConfig();
+    this._lastBackgroundSync = Date.now();
+
+    if (!config.sharedBudgetId || !YnabClient.isInitialized() || Outbox.isOffline()) return;
+    if (YnabClient.getQuotaState().remaining < this.SYNC_MIN_QUOTA) {
+      console.log('[DataService] Background sync skipped, API quota is low');
+      return;
+    }
+
+    const before = this._getUnlinkedIds();
+    let changed = false;
+
+    const budgetIds = [config.sharedBudgetId, ...config.members.map(m => m.budgetId)];
+    for (const budgetId of new Set(budgetIds)) {
+      try {
+        if (await this.syncBudget(budgetId)) changed = true;
+      } catch (error) {
+        console.warn(`[DataService] Background sync failed for ${budgetId}:`, error.message);
+      }
+    }
+
+    if (changed) this._announceNewUnlinked(before);
+  },
+
+  /**
+   * Pull changes for one budget through the delta path
+   * Budgets without a cache yet are skipped; they load when a screen needs them.
+   * @returns {Promise<boolean>} True if any transaction changed
+   */
+  async syncBudget(budgetId) {
+    if (this._storageFailed.has(budgetId)) return false;
+
+    const cached = await TxnDb.getCachedTransactions(budgetId, Infinity);
+    if (!cached?.serverKnowledge) return false;
+
+    const result = await YnabClient.getAllTransactions(budgetId, {
+      lastKnowledge: cached.serverKnowledge
+    });
+    await this._applyDelta(budgetId, result, cached);
+    return result.transactions.length > 0;
+  },
+
+  /**
+   * IDs of unlinked transactions after the cutoff, by member
+   * @returns {Object} { memberName: Set<string> }
+   */
+  _getUnlinkedIds() {
+    const cutoffDate = Store.getConfig().consistencyCutoffDate || '2020-01-01';
+    const result = {};
+    Store.getConfig().members.forEach(member => {
+      result[member.name] = new Set(
+        [...(Store.state.unlinkedPersonal[member.name] || []), ...(Store.state.unlinkedShared[member.name] || [])]
+          .filter(t => !TxnTypes.isBeforeCutoff(t, cutoffDate))
+          .map(t => t.id)
+      );
+    });
+    return result;
+  },
+
+  /**
+   * Toast "2 new unlinked transactions from Marghe" per member, with a link
+   * to that member's tab on the Transactions screen
+   */
+  _announceNewUnlinked(before) {
+    const after = this._getUnlinkedIds();
+    Object.entries(after).forEach(([memberName, ids]) => {
+      const known = before[memberName] || new Set();
+      const count = [...ids].filter(id => !known.has(id)).length;
+      if (count === 0) return;
+
+      Utils.showToast(
+        `${count} new unlinked transaction${count !== 1 ? 's' : ''} from ${memberName}`,
+        'info',
+        10000,
+        { label: 'Review', onClick: () => Consistency.showMember(memberName) }
+      );
+    });
   }
 };
@@ -0,0 +1,207 @@
+/**
+ * Golden Rule Validator
+ * Checks a month against the rules that keep personal and shared budgets in
+ * sync (see docs/SPECIFICATION.md, Screen 2), per member:
+ *
+ * 1. Shared spending: what went through the personal Shared Expenses
+ *    category equals what went through their contribution account in the
+ *    shared budget (contributions and settle-ups aside)
+ * 2. Balancing nets to zero: the Balancing category has nothing left over
+ * 3. Contribution = allocation: the #M-MM-YY# inflow matches the allocation
+ *
+ * Failing checks list the exact discrepancy and the transactions behind it.
+ * Month health warnings cover the household as a whole.
+ */
+const GoldenRule = {
+  // Uncleared shared transactions older than this are flagged
+  UNCLEARED_DAYS: 7,
+
+  /**
+   * Run every check for a month
+   * @param {string} month - 'YYYY-MM'
+   * @param {object} monthData - Monthly's month data ({ members: { name: {...} } }, milliunits)
+   * @param {Object} allocations - { memberName: allocation } in currency units
+   * @returns {Object} { memberName: Array<{id, label, pass, expected, actual, discrepancy, transactions}> }
+   */
+  validateMonth(month, monthData, allocations) {
+    const config = Store.getConfig();
+    const results = {};
+
+    config.members.forEach(member => {
+      const data = monthData?.members[member.name] || {};
+      results[member.name] = [
+        this.checkSharedSpending(config, member, month),
+        member.balancingCategoryId ? this.checkBalancing(member, month, data) : null,
+        this.checkContribution(config, member, month, allocations[member.name] || 0)
+      ].filter(Boolean);
+    });
+
+    return results;
+  },
+
+  /**
+   * Personal Shared Expenses activity vs contribution account activity
+   * Transactions are grouped by link ID; any group whose two sides differ
+   * (or that has only one side this month) is listed as a cause.
+   */
+  checkSharedSpending(config, member, month) {
+    const range = this._range(month);
+
+    const personal = Store.getTransactions(member.budgetId, { categoryId: member.sharedCategoryId, ...range })
+      .filter(t => !t.deleted)
+      .map(t => ({ txn: t, side: 'personal', amount: TxnTypes.getCategoryAmount(t, member.sharedCategoryId) }));
+
+    const shared = Store.getTransactions(config.sharedBudgetId, { accountId: member.contributionAccountId, ...range })
+      .filter(t => !t.deleted && this.isSharedSpending(t))
+      .map(t => ({ txn: t, side: 'shared', amount: t.amount }));
+
+    const personalTotal = personal.reduce((sum, e) => sum + e.amount, 0);
+    const sharedTotal = shared.reduce((sum, e) => sum + e.amount, 0);
+
+    // Group both sides by link ID to find what doesn't line up
+    const groups = {};
+    const causes = [];
+    [...personal, ...shared].forEach(entry => {
+      const id = TxnTypes.getLinkId(entry.txn);
+      if (!id) {
+        causes.push({ ...entry, reason: `Not linked (${entry.side} only)` });
+        return;
+      }
+      if (!groups[id]) groups[id] = { personal: 0, shared: 0, entries: [] };
+      groups[id][entry.side] += entry.amount;
+      groups[id].entries.push(entry);
+    });
+    Object.entries(groups).forEach(([id, group]) => {
+      if (group.personal === group.shared) return;
+      const reason = group.personal === 0 || group.shared === 0
+        ? `#${id}# has no ${group.personal === 0 ? 'personal' : 'shared'} side this month`
+        : `#${id}# differs by ${Utils.formatCurrency(YnabClient.fromMilliunits(group.personal - group.shared))}`;
+      group.entries.forEach(entry => causes.push({ ...entry, reason }));
+    });
+
+    const spentPersonal = YnabClient.fromMilliunits(-personalTotal);
+    const spentShared = YnabClient.fromMilliunits(-sharedTotal);
+    return this._result(
+      'shared-spending',
+      `Shared Expenses (${Utils.formatCurrency(spentPersonal)}) = contribution account spending (${Utils.formatCurrency(spentShared)})`,
+      spentShared,
+      spentPersonal,
+      causes
+    );
+  },
+
+  /**
+   * Balancing category: budgeted + activity should leave nothing available
+   */
+  checkBalancing(member, month, data) {
+    const available = YnabClient.fromMilliunits(data.balancingAvailable || 0);
+    const activity = YnabClient.fromMilliunits(data.balancingActivity || 0);
+    const budgeted = YnabClient.fromMilliunits(data.balancingBudgeted || 0);
+
+    const causes = Math.abs(available) < 0.01 ? [] : Store.getTransactions(member.budgetId, {
+      categoryId: member.balancingCategoryId,
+      ...this._range(month)
+    })
+      .filter(t => !t.deleted)
+      .map(t => ({ txn: t, side: 'personal', amount: TxnTypes.getCategoryAmount(t, member.balancingCategoryId), reason: 'Balancing activity' }));
+
+    return this._result(
+      'balancing',
+      `Balancing nets to zero: budgeted ${Utils.formatCurrency(budgeted)} + activity ${Utils.formatCurrency(activity)}`,
+      0,
+      available,
+      causes
+    );
+  },
+
+  /**
+   * The month's #M-MM-YY# contribution(s) vs the allocation
+   */
+  checkContribution(config, member, month, allocation) {
+    const [year, monthNum] = month.split('-').map(Number);
+    const monthlyId = LinkUtils.generateMonthlyId(monthNum, year);
+
+    const contributions = Store.getTransactions(config.sharedBudgetId, { accountId: member.contributionAccountId })
+      .filter(t => !t.deleted && TxnTypes.getLinkId(t) === monthlyId);
+    const contributed = YnabClient.fromMilliunits(contributions.reduce((sum, t) => sum + t.amount, 0));
+
+    const causes = contributions.length === 0
+      ? []
+      : contributions.map(t => ({
+        txn: t,
+        side: 'shared',
+        amount: t.amount,
+        reason: contributions.length > 1 ? `One of ${contributions.length} #${monthlyId}# contributions` : `#${monthlyId}# contribution`
+      }));
+
+    const result = this._result(
+      'contribution',
+      `Contribution (${Utils.formatCurrency(contributed)}) = allocation (${Utils.formatCurrency(allocation)})`,
+      allocation,
+      contributed,
+      causes
+    );
+    if (contributions.length === 0 && allocation > 0) {
+      result.note = `No #${monthlyId}# contribution in the shared budget`;
+    }
+    return result;
+  },
+
+  /**
+   * Household-wide warnings for a month
+   * @param {string} month - 'YYYY-MM'
+   * @param {object} options
+   * @param {Array} [options.sharedCategories] - Shared budget MonthDetail categories (milliunits)
+   * @param {Object} [options.contributionBalances] - { memberName: balance } (current month only)
+   * @returns {string[]}
+   */
+  getHealthWarnings(month, { sharedCategories = [], contributionBalances = null } = {}) {
+    const config = Store.getConfig();
+    const warnings = [];
+
+    sharedCategories
+      .filter(c => !c.deleted && !c.hidden && c.balance < 0)
+      .forEach(c => {
+        warnings.push(`${c.name} is overspent by ${Utils.formatCurrency(YnabClient.fromMilliunits(-c.balance))} in the shared budget`);
+      });
+
+    if (contributionBalances) {
+      config.members.forEach(m => {
+        const balance = contributionBalances[m.name];
+        if (balance < 0) {
+          warnings.push(`${m.name}'s contribution account is negative (${Utils.formatCurrency(balance)})`);
+        }
+      });
+    }
+
+    const staleBefore = new Date(Date.now() - this.UNCLEARED_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const stale = Store.getTransactions(config.sharedBudgetId, this._range(month))
+      .filter(t => !t.deleted && t.cleared === 'uncleared' && t.date < staleBefore);
+    if (stale.length > 0) {
+      warnings.push(`${stale.length} uncleared shared transaction${stale.length !== 1 ? 's' : ''} older than ${this.UNCLEARED_DAYS} days`);
+    }
+
+    return warnings;
+  },
+
+  /**
+   * Whether a contribution account transaction should mirror a personal
+   * Shared Expenses transaction (not a contribution or settle-up)
+   */
+  isSharedSpending(txn) {
+    const id = TxnTypes.getLinkId(txn);
+    if (id && (LinkUtils.isMonthlyId(id) || LinkUtils.isBalancingId(id))) return false;
+    const type = TxnTypes.classifyShared(txn);
+    return type === 'expense' || type === 'reimbursement';
+  },
+
+  _range(month) {
+    return { sinceDate: `${month}-01`, untilDate: `${month}-31` };
+  },
+
+  _result(id, label, expected, actual, causes) {
+    const discrepancy = Math.round((actual - expected) * 100) / 100;
+    const pass = Math.abs(discrepancy) < 0.01;
+    return { id, label, pass, expected, actual, discrepancy, transactions: pass ? [] : causes };
+  }
+};
@@ -0,0 +1,315 @@
+/**
+ * Sync Issues
+ * Detects the issue types from docs/SPECIFICATION.md §1.4 (plus outstanding
+ * settle-ups) from the Store and the budgets' month data.
+ *
+ * Every issue has a stable ID, so it can be snoozed or dismissed on its own:
+ * - golden-rule:<member>:<YYYY-MM>       Shared spending or Balancing out of line
+ * - missing-contribution:<member>:<YYYY-MM>  Budgeted, but no #M-MM-YY# inflow
+ * - orphan:<member>:<personal|shared>:<newest date>:<count>
+ *                                        Unlinked transactions on one side
+ * - spillover:<budgetId>:<YYYY-MM>       Last month's overspending reduces Ready to Assign
+ * - settle-up                            Contribution accounts out of balance
+ *
+ * Config:
+ * - issueDismissals: { issueId: { until: 'YYYY-MM-DD' | null } } (null = dismissed)
+ */
+const Issues = {
+  // Months checked for month-level issues, counting back from the current one
+  MONTHS_CHECKED: 3,
+  SNOOZE_DAYS: 7,
+  SEVERITY_ORDER: { error: 0, warning: 1, info: 2 },
+
+  /**
+   * Detect every active issue
+   * @param {object} [options]
+   * @param {Object} [options.accountBalances] - { memberName: balance } contribution account balances; the settle-up check is skipped without them
+   * @returns {Promise<Array<{id, type, severity, title, description, action}>>} Most severe first
+   */
+  async detect({ accountBalances = null } = {}) {
+    const config = Store.getConfig();
+    const members = config.members || [];
+    const issues = [];
+
+    for (const month of this.getMonths(config)) {
+      const monthData = await this.loadMonth(month, config);
+      issues.push(
+        ...this.detectGoldenRule(config, month, monthData),
+        ...this.detectMissingContributions(config, month, monthData),
+        ...this.detectSpillover(config, month, monthData)
+      );
+    }
+    issues.push(...this.detectOrphans(config));
+
+    if (members.length >= 2 && accountBalances) {
+      const settleUp = this.detectSettleUp(members, accountBalances);
+      if (settleUp) issues.push(settleUp);
+    }
+
+    return issues.sort((a, b) => this.SEVERITY_ORDER[a.severity] - this.SEVERITY_ORDER[b.severity]);
+  },
+
+  /**
+   * Months to check, newest first, skipping those before the cutoff date
+   */
+  getMonths(config) {
+    const cutoffMonth = (config.consistencyCutoffDate || '').slice(0, 7);
+    const months = [];
+    for (let i = 0; i < this.MONTHS_CHECKED; i++) {
+      const month = Monthly.getMonthStr(-i);
+      if (!cutoffMonth || month >= cutoffMonth) months.push(month);
+    }
+    return months;
+  },
+
+  /**
+   * Personal and shared month data in Monthly's shape
+   */
+  async loadMonth(month, config) {
+    const monthData = { members: {} };
+    for (const member of config.members) {
+      monthData.members[member.name] = await Monthly.loadMemberMonthData(member, month, config);
+    }
+    monthData.sharedCategories = await Monthly.loadSharedCategories(month, config);
+    return monthData;
+  },
+
+  /**
+   * Golden Rule Violation: shared spending not mirrored, or Balancing not netting to zero
+   */
+  detectGoldenRule(config, month, monthData) {
+    return config.members.map(member => {
+      const data = monthData.members[member.name] || {};
+      const failing = [
+        GoldenRule.checkSharedSpending(config, member, month),
+        member.balancingCategoryId ? GoldenRule.checkBalancing(member, month, data) : null
+      ].filter(check => check && !check.pass);
+      if (failing.length === 0) return null;
+
+      return {
+        id: `golden-rule:${member.name}:${month}`,
+        type: 'golden-rule',
+        severity: 'error',
+        title: `${member.name}: Golden Rule violated in ${Monthly.formatMonthLabel(month)}`,
+        description: failing
+          .map(check => `${check.label} — off by ${Utils.formatCurrency(check.discrepancy)}`)
+          .join('; '),
+        action: { label: 'Review Month', handler: () => this.openMonth(month) }
+      };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Missing Contribution: budgeted in the personal budget, but no #M-MM-YY# inflow in shared
+   */
+  detectMissingContributions(config, month, monthData) {
+    const [year, monthNum] = month.split('-').map(Number);
+    const monthlyId = LinkUtils.generateMonthlyId(monthNum, year);
+    const saved = config.monthlyAllocations?.[month] || {};
+
+    return config.members.map(member => {
+      const data = monthData.members[member.name] || {};
+      const allocation = saved[member.name] ?? YnabClient.fromMilliunits((data.sharedBudgeted || 0) - (data.balancingActivity || 0));
+      if (!(allocation > 0)) return null;
+
+      const contributed = Store.getTransactions(config.sharedBudgetId, { accountId: member.contributionAccountId })
+        .some(t => !t.deleted && TxnTypes.getLinkId(t) === monthlyId);
+      if (contributed) return null;
+
+      return {
+        id: `missing-contribution:${member.name}:${month}`,
+        type: 'missing-contribution',
+        severity: month < Monthly.getCurrentMonthStr() ? 'error' : 'warning',
+        title: `${member.name}: no contribution for ${Monthly.formatMonthLabel(month)}`,
+        description: `${Utils.formatCurrency(allocation)} is allocated, but there's no #${monthlyId}# inflow in the shared budget.`,
+        action: { label: 'Apply Month', handler: () => this.openMonth(month) }
+      };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Overbudget Spillover: categories overspent at the end of the previous month
+   * reduce this month's Ready to Assign
+   */
+  detectSpillover(config, month, monthData) {
+    if (month === Monthly.getCurrentMonthStr()) return [];
+    const issues = [];
+    const target = Monthly.formatMonthLabel(AllocationTemplates.monthRange(month, Monthly.getCurrentMonthStr())[1]);
+
+    const overspent = (monthData.sharedCategories || []).filter(c => !c.deleted && !c.hidden && c.balance < 0);
+    if (overspent.length > 0) {
+      const total = YnabClient.fromMilliunits(-overspent.reduce((sum, c) => sum + c.balance, 0));
+      issues.push({
+        id: `spillover:${config.sharedBudgetId}:${month}`,
+        type: 'spillover',
+        severity: 'warning',
+        title: `Shared budget overspent in ${Monthly.formatMonthLabel(month)}`,
+        description: `${overspent.map(c => c.name).join(', ')} ended ${Utils.formatCurrency(total)} short, taken from ${target}'s Ready to Assign.`,
+        action: { label: 'Review Month', handler: () => this.openMonth(month) }
+      });
+    }
+
+    config.members.forEach(member => {
+      const available = monthData.members[member.name]?.sharedAvailable || 0;
+      if (available >= 0) return;
+      issues.push({
+        id: `spillover:${member.budgetId}:${month}`,
+        type: 'spillover',
+        severity: 'warning',
+        title: `${member.name}: Shared Expenses overspent in ${Monthly.formatMonthLabel(month)}`,
+        description: `${Utils.formatCurrency(YnabClient.fromMilliunits(-available))} short, taken from ${target}'s Ready to Assign in the personal budget.`,
+        action: { label: 'Review Month', handler: () => this.openMonth(month) }
+      });
+    });
+
+    return issues;
+  },
+
+  /**
+   * Orphan Transaction: not linked on either side (after the cutoff date)
+   * One issue per member and side with the count, so a long backlog doesn't
+   * flood the list. The ID carries the newest date and the count, so a new
+   * orphan brings a dismissed backlog back.
+   */
+  detectOrphans(config) {
+    const cutoffDate = config.consistencyCutoffDate || null;
+    const isOrphan = t => !t.deleted && (!cutoffDate || t.date >= cutoffDate) && !TxnTypes.isLinked(t);
+    const issues = [];
+
+    config.members.forEach(member => {
+      const personal = Store.getTransactions(member.budgetId, { categoryId: member.sharedCategoryId })
+        .filter(isOrphan);
+      if (personal.length > 0) {
+        issues.push(this._orphanIssue(member, 'personal', personal, {
+          label: 'Link',
+          handler: () => {
+            Consistency.showMember(member.name);
+            if (personal.length === 1) setTimeout(() => Consistency.selectPersonalTransaction(personal[0].id), 100);
+          }
+        }));
+      }
+
+      const shared = Store.getTransactions(config.sharedBudgetId, { accountId: member.contributionAccountId })
+        .filter(t => isOrphan(t) && !TxnTypes.isBalancingTransfer(t));
+      if (shared.length > 0) {
+        const isContribution = shared.length === 1 && TxnTypes.isContribution(shared[0]);
+        issues.push(this._orphanIssue(member, 'shared', shared, {
+          label: isContribution ? 'Mark as Monthly' : 'Link',
+          handler: () => {
+            Consistency.showMember(member.name);
+            if (isContribution) setTimeout(() => Consistency.showMonthlyPicker(shared[0].id), 100);
+          }
+        }));
+      }
+    });
+
+    return issues;
+  },
+
+  /**
+   * Contribution accounts out of line with the agreed shares
+   */
+  detectSettleUp(members, accountBalances) {
+    const balances = SettlePlanner.getMemberBalances(members, accountBalances);
+    const transfers = SettlePlanner.plan(balances, SettlePlanner.getShares(members));
+    const total = SettlePlanner.getTotal(transfers);
+    if (total <= 50) return null; // Threshold: a 100 currency unit gap between two members
+
+    return {
+      id: 'settle-up',
+      type: 'settle-up',
+      severity: 'info',
+      title: `Settle-up needed: ${Utils.formatCurrency(total)}`,
+      description: `To square everyone: ${SettlePlanner.describe(transfers)}.`,
+      action: {
+        label: 'Settle Up',
+        handler: () => {
+          App.navigateTo('transactions');
+          setTimeout(() => {
+            Consistency.openSettleModal();
+          }, 100);
+        }
+      }
+    };
+  },
+
+  openMonth(month) {
+    Monthly.state.selectedMonth = month;
+    Monthly.state.monthOffset = 0;
+    App.navigateTo('monthly');
+  },
+
+  // ==================
+  // Snooze / Dismiss
+  // ==================
+
+  /**
+   * Split issues into those to show and those snoozed or dismissed
+   * Dismissals of issues that no longer occur, and expired snoozes, are dropped.
+   * @returns {{active: Array, hidden: Array}}
+   */
+  filter(issues) {
+    const config = Store.getConfig();
+    const dismissals = config.issueDismissals || {};
+    const today = new Date().toISOString().split('T')[0];
+    const ids = new Set(issues.map(i => i.id));
+
+    const kept = {};
+    Object.entries(dismissals).forEach(([id, entry]) => {
+      if (ids.has(id) && (entry.until === null || entry.until > today)) kept[id] = entry;
+    });
+    if (Object.keys(kept).length !== Object.keys(dismissals).length) {
+      Store.updateConfig({ issueDismissals: kept });
+    }
+
+    return {
+      active: issues.filter(i => !kept[i.id]),
+      hidden: issues.filter(i => kept[i.id]).map(i => ({ ...i, dismissal: kept[i.id] }))
+    };
+  },
+
+  /**
+   * Hide an issue for SNOOZE_DAYS days
+   */
+  snooze(id) {
+    const until = new Date(Date.now() + this.SNOOZE_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    this._setDismissal(id, { until });
+  },
+
+  /**
+   * Hide an issue until it stops occurring
+   */
+  dismiss(id) {
+    this._setDismissal(id, { until: null });
+  },
+
+  restore(id) {
+    this._setDismissal(id, null);
+  },
+
+  _setDismissal(id, entry) {
+    const dismissals = { ...Store.getConfig().issueDismissals };
+    if (entry) {
+      dismissals[id] = entry;
+    } else {
+      delete dismissals[id];
+    }
+    Store.updateConfig({ issueDismissals: dismissals });
+  },
+
+  _orphanIssue(member, side, txns, action) {
+    const total = YnabClient.fromMilliunits(txns.reduce((sum, t) => sum + (side === 'personal'
+      ? TxnTypes.getCategoryAmount(t, member.sharedCategoryId)
+      : t.amount), 0));
+    const dates = txns.map(t => t.date).sort();
+    const range = dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} – ${dates[dates.length - 1]}`;
+    return {
+      id: `orphan:${member.name}:${side}:${dates[dates.length - 1]}:${txns.length}`,
+      type: 'orphan',
+      severity: 'warning',
+      title: `${member.name}: ${txns.length} unlinked ${side} transaction${txns.length !== 1 ? 's' : ''}`,
+      description: `${range} · ${Utils.formatCurrency(total)} in total`,
+      action
+    };
+  }
+};
@@ -0,0 +1,269 @@
+/**
+ * Transaction Matching Module
+ * Scores candidate personal ↔ shared transaction pairs and picks the
+ * unambiguous ones for automatic linking.
+ * No API calls and no DOM access. Tolerances and weights can be overridden
+ * per household via config.matching, which getSettings() reads from Store.
+ */
+const Matching = {
+  // Defaults used when config.matching doesn't override them
+  DEFAULTS: {
+    amountTolerance: 100,  // milliunits; pairs further apart are never matches
+    dateWindowDays: 7,     // pairs further apart are never matches
+    weights: {             // relative weight of each signal (normalized on use)
+      amount: 0.5,
+      date: 0.3,
+      payee: 0.15,
+      cleared: 0.05
+    }
+  },
+
+  // Minimum score for a pair to be auto-linked
+  AUTO_LINK_MIN_SCORE: 0.75,
+
+  // Best candidate must beat the runner-up by at least this much
+  AUTO_LINK_MIN_MARGIN: 0.15,
+
+  /**
+   * Effective matching settings: config.matching merged over DEFAULTS
+   * @returns {{amountTolerance: number, dateWindowDays: number, weights: object}}
+   */
+  getSettings() {
+    const custom = Store.getConfig().matching || {};
+    const settings = {
+      ...this.DEFAULTS,
+      ...custom,
+      weights: { ...this.DEFAULTS.weights, ...(custom.weights || {}) }
+    };
+    if (!(settings.amountTolerance > 0)) settings.amountTolerance = this.DEFAULTS.amountTolerance;
+    return settings;
+  },
+
+  /**
+   * Normalize a payee name for comparison
+   * "Esselunga S.p.A. #123" → "esselunga spa"
+   * @param {string} name - Raw payee name
+   * @returns {string}
+   */
+  normalizePayee(name) {
+    if (!name) return '';
+    return name
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\b\d+\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Similarity between two payee names (Dice coefficient on character bigrams)
+   * @returns {number} 0..1
+   */
+  payeeSimilarity(a, b) {
+    const na = this.normalizePayee(a);
+    const nb = this.normalizePayee(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+
+    const bigrams = (s) => {
+      const result = new Map();
+      for (let i = 0; i < s.length - 1; i++) {
+        const bg = s.substring(i, i + 2);
+        result.set(bg, (result.get(bg) || 0) + 1);
+      }
+      return result;
+    };
+
+    const aGrams = bigrams(na);
+    const bGrams = bigrams(nb);
+    let overlap = 0;
+    aGrams.forEach((count, bg) => {
+      overlap += Math.min(count, bGrams.get(bg) || 0);
+    });
+
+    const total = (na.length - 1) + (nb.length - 1);
+    return total > 0 ? (2 * overlap) / total : 0;
+  },
+
+  /**
+   * Absolute number of days between two YYYY-MM-DD dates
+   */
+  daysBetween(dateA, dateB) {
+    return Math.abs(new Date(dateA) - new Date(dateB)) / (1000 * 60 * 60 * 24);
+  },
+
+  /**
+   * Amount and date distance of a pair, and whether it's within tolerance
+   * Cheap enough to run on every candidate pair; nothing is formatted here.
+   * @returns {{amountDiff: number, days: number, eligible: boolean}|null} null if a side is missing
+   */
+  _measure(personalTxn, sharedTxn, settings) {
+    if (!personalTxn || !sharedTxn) return null;
+    // Partially-shared personal splits are matched on their shared portion
+    const amountDiff = Math.abs(TxnTypes.getSharedAmount(personalTxn) - sharedTxn.amount);
+    const days = Math.round(this.daysBetween(personalTxn.date, sharedTxn.date));
+    const eligible = amountDiff < settings.amountTolerance && days <= settings.dateWindowDays;
+    return { amountDiff, days, eligible };
+  },
+
+  /**
+   * Score a personal/shared pair with a per-signal breakdown
+   * Pairs outside the amount tolerance or date window are not eligible and score 0.
+   * Reasons carry raw values only; describe() turns them into labels.
+   * @param {object} personalTxn
+   * @param {object} sharedTxn
+   * @param {object} [settings] - Defaults to getSettings()
+   * @returns {{score: number, eligible: boolean, reasons: Array<{signal, value, weight, detail}>}}
+   */
+  score(personalTxn, sharedTxn, settings = this.getSettings()) {
+    const measured = this._measure(personalTxn, sharedTxn, settings);
+    if (!measured) return { score: 0, eligible: false, reasons: [] };
+
+    const { amountTolerance, dateWindowDays, weights } = settings;
+    const { amountDiff, days } = measured;
+
+    if (!measured.eligible) {
+      const signal = amountDiff >= amountTolerance ? 'amount' : 'date';
+      return {
+        score: 0,
+        eligible: false,
+        reasons: [{ signal, value: 0, weight: weights[signal], detail: { amountDiff, days, ineligible: true } }]
+      };
+    }
+
+    const isSettled = t => t.cleared === 'cleared' || t.cleared === 'reconciled';
+    const settledCount = (isSettled(personalTxn) ? 1 : 0) + (isSettled(sharedTxn) ? 1 : 0);
+    const payeeValue = this.payeeSimilarity(personalTxn.payee_name, sharedTxn.payee_name);
+
+    const reasons = [
+      { signal: 'amount', value: 1 - amountDiff / amountTolerance, weight: weights.amount, detail: { amountDiff } },
+      { signal: 'date', value: 1 - days / (dateWindowDays + 1), weight: weights.date, detail: { days } },
+      { signal: 'payee', value: payeeValue, weight: weights.payee, detail: {} },
+      { signal: 'cleared', value: settledCount / 2, weight: weights.cleared, detail: { settledCount } }
+    ];
+
+    const totalWeight = reasons.reduce((sum, r) => sum + r.weight, 0);
+    const score = totalWeight > 0
+      ? reasons.reduce((sum, r) => sum + r.value * r.weight, 0) / totalWeight
+      : 0;
+
+    return { score, eligible: true, reasons };
+  },
+
+  /**
+   * Shorthand for score(...).score, returning early for ineligible pairs
+   * @returns {number} 0..1
+   */
+  scorePair(personalTxn, sharedTxn, settings = this.getSettings()) {
+    const measured = this._measure(personalTxn, sharedTxn, settings);
+    if (!measured?.eligible) return 0;
+    return this.score(personalTxn, sharedTxn, settings).score;
+  },
+
+  /**
+   * One-line summary of a score's reasons (for tooltips)
+   */
+  describe(result) {
+    return result.reasons.map(r => this._reasonLabel(r)).join(' · ');
+  },
+
+  _reasonLabel({ signal, value, detail }) {
+    const money = milliunits => Utils.formatCurrency(YnabClient.fromMilliunits(milliunits));
+    switch (signal) {
+      case 'amount':
+        if (detail.ineligible) return `Amount differs by ${money(detail.amountDiff)}`;
+        return detail.amountDiff === 0 ? 'Same amount' : `Amount off by ${money(detail.amountDiff)}`;
+      case 'date':
+        if (detail.ineligible || detail.days !== 0) return `${detail.days} day${detail.days !== 1 ? 's' : ''} apart`;
+        return 'Same day';
+      case 'payee':
+        return `Payee ${Math.round(value * 100)}% similar`;
+      case 'cleared':
+        return ['Neither cleared', 'One side cleared', 'Both cleared'][detail.settledCount];
+      default:
+        return signal;
+    }
+  },
+
+  /**
+   * Suggest a shared-budget category from payee history
+   * Picks the category of the most recent categorized shared transaction whose
+   * normalized payee matches. Split transactions contribute their largest line.
+   * @param {string} payeeName - Payee of the transaction being copied
+   * @param {Array} sharedTxns - Shared budget transactions (any account)
+   * @param {Array<{id}>} categories - Categories that may be suggested
+   * @returns {{categoryId: string, sourceTxn: object}|null}
+   */
+  suggestCategory(payeeName, sharedTxns, categories) {
+    const payee = this.normalizePayee(payeeName);
+    if (!payee) return null;
+
+    const allowed = new Set(categories.map(c => c.id));
+    const history = sharedTxns
+      .filter(t => !t.deleted && this.normalizePayee(t.payee_name) === payee)
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    for (const txn of history) {
+      const subs = TxnTypes.getSubtransactions(txn);
+      const categoryId = subs.length > 0
+        ? subs.reduce((largest, sub) => (Math.abs(sub.amount) > Math.abs(largest.amount) ? sub : largest)).category_id
+        : txn.category_id;
+      if (categoryId && allowed.has(categoryId)) {
+        return { categoryId, sourceTxn: txn };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Find pairs that can be linked without human judgement
+   * A pair qualifies when each side is the other's best candidate, the score
+   * clears AUTO_LINK_MIN_SCORE, and no other candidate on either side comes
+   * within AUTO_LINK_MIN_MARGIN.
+   * @param {Array} personalTxns - Unlinked personal transactions
+   * @param {Array} sharedTxns - Unlinked shared transactions
+   * @param {object} [settings] - Defaults to getSettings()
+   * @returns {{ pairs: Array<{personal, shared, score}>, ambiguous: Array<{personal, candidates}> }}
+   */
+  findAutoLinks(personalTxns, sharedTxns, settings = this.getSettings()) {
+    // Score every candidate pair once
+    const scores = personalTxns.map(p => sharedTxns.map(s => this.scorePair(p, s, settings)));
+
+    const pairs = [];
+    const ambiguous = [];
+
+    personalTxns.forEach((personal, pi) => {
+      const candidates = sharedTxns
+        .map((shared, si) => ({ shared, si, score: scores[pi][si] }))
+        .filter(c => c.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+      if (candidates.length === 0) return;
+
+      const best = candidates[0];
+      const runnerUp = candidates[1]?.score || 0;
+
+      // Competing personal transactions for the same shared transaction
+      const competing = personalTxns
+        .map((_, otherPi) => (otherPi === pi ? 0 : scores[otherPi][best.si]))
+        .reduce((max, s) => Math.max(max, s), 0);
+
+      const clearsScore = best.score >= this.AUTO_LINK_MIN_SCORE;
+      const clearsMargin = best.score - runnerUp >= this.AUTO_LINK_MIN_MARGIN &&
+        best.score - competing >= this.AUTO_LINK_MIN_MARGIN;
+
+      if (clearsScore && clearsMargin) {
+        pairs.push({ personal, shared: best.shared, score: best.score });
+      } else {
+        ambiguous.push({
+          personal,
+          candidates: candidates.slice(0, 3).map(c => ({ shared: c.shared, score: c.score }))
+        });
+      }
+    });
+
+    return { pairs, ambiguous };
+  }
+};
@@ -18,6 +18,7 @@ const Monthly = {
     visibleMonthCount: 5,
     monthsData: {},
     allocations: {}, // { 'YYYY-MM': { memberName: amount } }
+    policies: {}, // { 'YYYY-MM': { type, label, target, targetOverride? } } policy each month was filled with
     loading: false
   },
 
@@ -61,6 +62,7 @@ const Monthly = {
     for (const month of Object.keys(newAllocations)) {
       this.state.allocations[month] = { ...this.state.allocations[month], ...newAllocations[month] };
     }
+    this.state.policies = { ...(config.monthlyPolicies || {}) };
 
     // Set selected month to current month if not set
     if (!this.state.selectedMonth) {
@@ -148,7 +150,7 @@ const Monthly = {
   async loadContributionAccountBalances(config) {
     this.state.contributionAccountBalances = {};
     try {
-      const accounts = await YnabClient.getAccounts(config.sharedBudgetId);
+      const accounts = await DataService.getAccounts(config.sharedBudgetId);
       for (const member of config.members) {
         const account = accounts.find(a => a.id === member.contributionAccountId);
         this.state.contributionAccountBalances[member.name] = account
@@ -176,9 +178,29 @@ const Monthly = {
     if (!this.state.monthsData[month]) {
       await this.loadMonthData(month);
     }
+    this.autoFillMonth(month);
     this.renderAllocationPanel();
   },
 
+  /**
+   * Fill an untouched current or future month from its template, else the
+   * household policy; a template assigned later replaces a policy fill.
+   * Saves only when it fills something, so rendering never writes config.
+   */
+  autoFillMonth(month) {
+    if (month < this.getCurrentMonthStr() || !this.isAutoFilled(month)) return;
+
+    const template = AllocationTemplates.getAssigned(Store.getConfig(), month);
+    const record = this.state.policies[month];
+    const isEmpty = Object.keys(this.state.allocations[month] || {}).length === 0;
+    const followsTemplate = record?.type === 'template' && record.templateId === template?.id;
+    if (template && (isEmpty || !followsTemplate)) {
+      this.fillFromTemplate(month);
+    } else if (!template && isEmpty && this.getMonthTarget(month) > 0) {
+      this.fillFromPolicy(month);
+    }
+  },
+
   async loadMonthData(monthStr) {
     const config = Store.getConfig();
     const monthData = { members: {} };
@@ -187,10 +209,26 @@ const Monthly = {
       const data = await this.loadMemberMonthData(member, monthStr, config);
       monthData.members[member.name] = data;
     }
+    monthData.sharedCategories = await this.loadSharedCategories(monthStr, config);
+    monthData.sharedTarget = SplitPolicies.getSharedTarget(monthData.sharedCategories);
 
     this.state.monthsData[monthStr] = monthData;
   },
 
+  /**
+   * The shared budget's categories for a month (policy target and health warnings)
+   */
+  async loadSharedCategories(monthStr, config) {
+    try {
+      const sharedMonth = await DataService.getMonthData(config.sharedBudgetId, `${monthStr}-01`);
+      return sharedMonth.categories || [];
+    } catch (error) {
+      // Future months may not exist in YNAB yet
+      if (error.message?.includes('not found') || error.message?.includes('404')) return [];
+      throw error;
+    }
+  },
+
   async loadMemberMonthData(member, monthStr, config) {
     const monthDate = `${monthStr}-01`;
 
@@ -308,6 +346,8 @@ const Monthly = {
     const isFuture = month > currentMonth;
     const isPast = month < currentMonth;
 
+    const reconciliation = this.reconcileMonth(month);
+
     const membersHtml = config.members.map(member => {
       const data = monthData.members[member.name] || {};
 
@@ -348,6 +388,10 @@ const Monthly = {
       const contribAccountBalance = isCurrent ? (this.state.contributionAccountBalances?.[member.name] ?? null) : null;
       const hasMismatch = contribAccountBalance !== null && Math.abs(availableThisMonth - contribAccountBalance) > 0.01;
 
+      // Applied earlier, but edited in YNAB since
+      const check = reconciliation[member.name];
+      const hasDrift = check?.status === 'drift';
+
       return `
         <div class="allocation-member-card">
           <div class="allocation-member-header">
@@ -367,7 +411,7 @@ const Monthly = {
                        placeholder="0.00"
                        step="0.01"
                        min="0"
-                       onchange="Monthly.onAllocationChange('${Utils.escapeHtml(member.name)}', this.value)">
+                       onchange="Monthly.onAllocationChange(${Utils.escapeJsString(member.name)}, this.value)">
               </div>
             </div>
 
@@ -386,6 +430,13 @@ const Monthly = {
               <span class="allocation-value ${availableThisMonth >= 0 ? 'positive' : 'negative'}">${Utils.formatCurrency(availableThisMonth)}</span>
             </div>
 
+            ${hasDrift ? `
+            <div class="allocation-mismatch-warning allocation-drift-warning">
+              Changed in YNAB since it was applied: ${check.issues.map(i => Utils.escapeHtml(i)).join('; ')}.
+              <a href="#" class="mismatch-link" onclick="Monthly.realign('${month}', ${Utils.escapeJsString(member.name)}); return false;">Re-align</a>
+            </div>
+            ` : ''}
+
             ${hasMismatch ? `
             <div class="allocation-mismatch-warning">
               Available (${Utils.formatCurrency(availableThisMonth)}) doesn't match contribution account balance (${Utils.formatCurrency(contribAccountBalance)}).
@@ -397,6 +448,8 @@ const Monthly = {
       `;
     }).join('');
 
+    const catchUpCount = this.getCatchUpMonths().length;
+
     const html = `
       <div class="allocation-panel-header">
         <h3>${this.formatMonthLabel(month)}</h3>
@@ -404,14 +457,24 @@ const Monthly = {
         ${isFuture ? '<span class="month-tag future">Future</span>' : ''}
       </div>
 
+      ${this.renderPolicyBar(month)}
+      ${this.renderTemplateBar(month)}
+
       <div class="allocation-members-grid">
         ${membersHtml}
       </div>
 
+      ${this.renderGoldenRule(month)}
+
       <div class="allocation-actions">
         <button class="btn btn-primary" onclick="Monthly.applyToYnab()">
           Apply to YNAB
         </button>
+        ${catchUpCount > 0 ? `
+          <button class="btn btn-secondary" onclick="Monthly.catchUp()">
+            Catch Up (${catchUpCount} month${catchUpCount !== 1 ? 's' : ''})
+          </button>
+        ` : ''}
         <p class="help-text">This will set the Shared Expenses and Balancing category budgets in your personal budgets.</p>
       </div>
     `;
@@ -419,6 +482,359 @@ const Monthly = {
     this.elements.allocationPanel.innerHTML = html;
   },
 
+  renderPolicyBar(month) {
+    const config = Store.getConfig();
+    const policy = SplitPolicies.getPolicy(config);
+    const derivedTarget = this.state.monthsData[month]?.sharedTarget || 0;
+    const target = this.getMonthTarget(month);
+    const error = policy.type !== 'manual' ? SplitPolicies.validate(policy, config.members, target) : null;
+
+    const typeOptions = Object.entries(SplitPolicies.TYPES).map(([type, label]) =>
+      `<option value="${type}" ${policy.type === type ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    let params = '';
+    if (policy.type === 'percentage') {
+      const weights = SplitPolicies.getWeights(policy, config.members);
+      params = `
+        <small class="policy-note">
+          ${config.members.map(m => `${Utils.escapeHtml(m.name)} ${Math.round(weights[m.name] * 100)}%`).join(' · ')}
+          — set Share of Contributions per member in Settings
+        </small>
+      `;
+    } else if (policy.type === 'income' || policy.type === 'cover') {
+      const key = policy.type === 'income' ? 'incomes' : 'fixedAmounts';
+      const values = policy[key];
+      params = `
+        <div class="policy-params">
+          ${config.members.map(m => `
+            <label class="policy-param">
+              <span>${Utils.escapeHtml(m.name)} ${policy.type === 'income' ? 'income' : 'pays'}</span>
+              <input type="number" step="0.01" min="0"
+                     value="${values[m.name] || ''}"
+                     placeholder="${policy.type === 'income' ? '0.00' : 'Covers rest'}"
+                     onchange="Monthly.onPolicyParamChange('${key}', ${Utils.escapeJsString(m.name)}, this.value)">
+            </label>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="allocation-policy">
+        <div class="allocation-policy-row">
+          <label>
+            Split policy
+            <select onchange="Monthly.onPolicyChange(this.value)">${typeOptions}</select>
+          </label>
+          ${policy.type !== 'manual' ? `
+            <label>
+              Target total
+              <input type="number" step="0.01" min="0" value="${target || ''}" placeholder="0.00"
+                     onchange="Monthly.onTargetChange(this.value)">
+            </label>
+            <small class="policy-note">Budgeted in shared budget: ${Utils.formatCurrency(derivedTarget)}</small>
+          ` : ''}
+        </div>
+        ${params}
+        ${error ? `<div class="allocation-mismatch-warning">${Utils.escapeHtml(error)}</div>` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Target total for a month: the user's override, else what's budgeted in the shared budget
+   */
+  getMonthTarget(month) {
+    return this.state.policies[month]?.targetOverride ?? this.state.monthsData[month]?.sharedTarget ?? 0;
+  },
+
+  /**
+   * Replace a month's allocations with what the household policy gives
+   * @returns {boolean} False if the policy is manual or can't be applied
+   */
+  fillFromPolicy(month) {
+    const config = Store.getConfig();
+    const policy = SplitPolicies.getPolicy(config);
+    const target = this.getMonthTarget(month);
+    const allocations = SplitPolicies.allocate(policy, config.members, target);
+    if (!allocations) return false;
+
+    this.state.allocations[month] = {};
+    Object.entries(allocations).forEach(([name, amount]) => {
+      if (amount > 0) this.state.allocations[month][name] = amount;
+    });
+    this.state.policies[month] = {
+      ...this.state.policies[month],
+      type: policy.type,
+      label: SplitPolicies.describe(policy, config.members),
+      target
+    };
+    this.saveAllocations();
+    return true;
+  },
+
+  renderTemplateBar(month) {
+    const config = Store.getConfig();
+    const templates = AllocationTemplates.getAll(config);
+    const assigned = AllocationTemplates.getAssigned(config, month);
+
+    const templateOptions = templates.map(t =>
+      `<option value="${t.id}" ${assigned?.id === t.id ? 'selected' : ''}>${Utils.escapeHtml(t.name)}</option>`
+    ).join('');
+
+    return `
+      <div class="allocation-policy allocation-templates">
+        <div class="allocation-policy-row">
+          <label>
+            Template
+            <select onchange="Monthly.onTemplateSelect(this.value)">
+              <option value="">None</option>
+              ${templateOptions}
+            </select>
+          </label>
+          ${assigned ? `<small class="policy-note">${Utils.escapeHtml(AllocationTemplates.describe(assigned, config.members))}</small>` : ''}
+          <button class="btn btn-secondary btn-small" onclick="Monthly.saveAsTemplate()">Save as Template</button>
+          ${templates.length > 0 ? `
+            <button class="btn btn-secondary btn-small" onclick="Monthly.assignTemplateToRange()">Assign to Months…</button>
+            ${assigned ? `<button class="btn btn-secondary btn-small" onclick="Monthly.deleteTemplate('${assigned.id}')">Delete Template</button>` : ''}
+          ` : ''}
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Whether a month's allocations are empty or were filled in by a policy or
+   * template rather than typed (typed amounts set the record's type to
+   * 'manual'). Applied months count as typed, so they keep their amounts.
+   */
+  isAutoFilled(month) {
+    if (Object.keys(this.state.allocations[month] || {}).length === 0) return true;
+    const record = this.state.policies[month];
+    return !!record?.type && record.type !== 'manual' && !record.applied;
+  },
+
+  /**
+   * Replace a month's allocations with its assigned template
+   * @returns {boolean} False if no template applies
+   */
+  fillFromTemplate(month) {
+    const config = Store.getConfig();
+    const template = AllocationTemplates.getAssigned(config, month);
+    if (!template) return false;
+
+    const target = this.getMonthTarget(month);
+    const allocations = AllocationTemplates.resolve(template, config.members, target);
+    if (!allocations) return false;
+
+    this.state.allocations[month] = {};
+    Object.entries(allocations).forEach(([name, amount]) => {
+      if (amount > 0) this.state.allocations[month][name] = amount;
+    });
+    this.state.policies[month] = {
+      ...this.state.policies[month],
+      type: 'template',
+      label: template.name,
+      templateId: template.id,
+      target
+    };
+    this.saveAllocations();
+    return true;
+  },
+
+  // Assign a template to the selected month only (or clear it)
+  onTemplateSelect(templateId) {
+    const month = this.state.selectedMonth;
+    AllocationTemplates.assign(templateId || null, month, month);
+    if (templateId) {
+      this.fillFromTemplate(month);
+    } else if (this.state.policies[month]?.type === 'template') {
+      this.fillFromPolicy(month);
+    }
+    this.refreshAfterTemplateChange();
+  },
+
+  async saveAsTemplate() {
+    const config = Store.getConfig();
+    const month = this.state.selectedMonth;
+    const policy = SplitPolicies.getPolicy(config);
+    const amounts = { ...(this.state.allocations[month] || {}) };
+    const hasAmounts = Object.keys(amounts).length > 0;
+
+    if (!hasAmounts && policy.type === 'manual') {
+      Utils.showToast('Set allocation amounts or a split policy first', 'error');
+      return;
+    }
+
+    let name = '';
+    let source = hasAmounts ? 'amounts' : 'policy';
+
+    const confirmed = await Utils.confirm({
+      title: 'Save Allocation Template',
+      html: `
+        <div class="form-group">
+          <label>Name</label>
+          <input type="text" id="template-name" placeholder="e.g. Standard month" maxlength="200">
+        </div>
+        <div class="form-group">
+          <label>Template uses</label>
+          <select id="template-source">
+            ${hasAmounts ? `<option value="amounts">These amounts (${Utils.escapeHtml(AllocationTemplates.describe({ amounts }, config.members))})</option>` : ''}
+            ${policy.type !== 'manual' ? `<option value="policy">The split policy (${Utils.escapeHtml(SplitPolicies.TYPES[policy.type])}), worked out each month</option>` : ''}
+          </select>
+        </div>
+        <p>Saving with an existing name replaces that template.</p>
+      `,
+      confirmText: 'Save Template',
+      cancelText: 'Cancel',
+      onReady(modal) {
+        const nameInput = modal.querySelector('#template-name');
+        const sourceSelect = modal.querySelector('#template-source');
+        nameInput.addEventListener('input', () => { name = nameInput.value.trim(); });
+        sourceSelect.addEventListener('change', () => { source = sourceSelect.value; });
+        setTimeout(() => nameInput.focus(), 0);
+      }
+    });
+
+    if (!confirmed) return;
+    if (!name) {
+      Utils.showToast('Please give the template a name', 'error');
+      return;
+    }
+
+    const template = AllocationTemplates.save(source === 'amounts'
+      ? { name, amounts }
+      : { name, policy });
+    AllocationTemplates.assign(template.id, month, month);
+    this.fillFromTemplate(month);
+    this.refreshAfterTemplateChange();
+    Utils.showToast(`Template "${name}" saved`, 'success');
+  },
+
+  async assignTemplateToRange() {
+    const config = Store.getConfig();
+    const templates = AllocationTemplates.getAll(config);
+    const fromDefault = this.state.selectedMonth;
+    const [fromYear, fromMonthNum] = fromDefault.split('-').map(Number);
+    const toDate = new Date(fromYear, fromMonthNum - 1 + 11, 1);
+    const toDefault = `${toDate.getFullYear()}-${String(toDate.getMonth() + 1).padStart(2, '0')}`;
+
+    let templateId = AllocationTemplates.getAssigned(config, fromDefault)?.id || templates[0].id;
+    let fromMonth = fromDefault;
+    let toMonth = toDefault;
+
+    const templateOptions = templates.map(t =>
+      `<option value="${t.id}" ${t.id === templateId ? 'selected' : ''}>${Utils.escapeHtml(t.name)}</option>`
+    ).join('');
+
+    const confirmed = await Utils.confirm({
+      title: 'Assign Template to Months',
+      html: `
+        <div class="form-group">
+          <label>Template</label>
+          <select id="assign-template">
+            ${templateOptions}
+            <option value="">None (clear these months)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>From</label>
+          <input type="month" id="assign-from" value="${fromDefault}">
+        </div>
+        <div class="form-group">
+          <label>To</label>
+          <input type="month" id="assign-to" value="${toDefault}">
+        </div>
+        <p>Months you've already entered amounts for keep them until you pick the template there.</p>
+      `,
+      confirmText: 'Assign',
+      cancelText: 'Cancel',
+      onReady(modal) {
+        modal.querySelector('#assign-template').addEventListener('change', (e) => { templateId = e.target.value; });
+        modal.querySelector('#assign-from').addEventListener('change', (e) => { fromMonth = e.target.value; });
+        modal.querySelector('#assign-to').addEventListener('change', (e) => { toMonth = e.target.value; });
+      }
+    });
+
+    if (!confirmed) return;
+
+    const months = fromMonth && toMonth ? AllocationTemplates.assign(templateId || null, fromMonth, toMonth) : [];
+    if (months.length === 0) {
+      Utils.showToast('The end month must be on or after the start month', 'error');
+      return;
+    }
+
+    // The month on screen follows its new template straight away
+    if (months.includes(this.state.selectedMonth) && templateId) {
+      this.fillFromTemplate(this.state.selectedMonth);
+    }
+    this.refreshAfterTemplateChange();
+    Utils.showToast(`${templateId ? 'Assigned' : 'Cleared'} ${months.length} month${months.length !== 1 ? 's' : ''}`, 'success');
+  },
+
+  async deleteTemplate(templateId) {
+    const template = AllocationTemplates.get(Store.getConfig(), templateId);
+    if (!template) return;
+
+    const confirmed = await Utils.confirm({
+      title: 'Delete Template',
+      message: `Delete "${template.name}"? Months it's assigned to keep their current amounts.`,
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+      danger: true
+    });
+    if (!confirmed) return;
+
+    AllocationTemplates.remove(templateId);
+    this.refreshAfterTemplateChange();
+  },
+
+  refreshAfterTemplateChange() {
+    this.renderAllocationPanel();
+    this.renderMonthSelector();
+    this.renderHistoryIfLoaded();
+  },
+
+  onPolicyChange(type) {
+    const config = Store.getConfig();
+    Store.updateConfig({ splitPolicy: { ...SplitPolicies.getPolicy(config), type } });
+    this.refillSelectedMonth();
+  },
+
+  onTargetChange(value) {
+    const month = this.state.selectedMonth;
+    const amount = parseFloat(value);
+    const record = { ...this.state.policies[month] };
+    if (amount >= 0) {
+      record.targetOverride = amount;
+    } else {
+      delete record.targetOverride;
+    }
+    this.state.policies[month] = record;
+    this.refillSelectedMonth();
+  },
+
+  onPolicyParamChange(key, memberName, value) {
+    const policy = SplitPolicies.getPolicy(Store.getConfig());
+    const amount = parseFloat(value) || 0;
+    const values = { ...policy[key] };
+    if (amount > 0) {
+      values[memberName] = amount;
+    } else {
+      delete values[memberName];
+    }
+    Store.updateConfig({ splitPolicy: { ...policy, [key]: values } });
+    this.refillSelectedMonth();
+  },
+
+  refillSelectedMonth() {
+    if (!this.fillFromPolicy(this.state.selectedMonth)) this.saveAllocations();
+    this.renderAllocationPanel();
+    this.renderMonthSelector();
+    this.renderHistoryIfLoaded();
+  },
+
   onAllocationChange(memberName, value) {
     const month = this.state.selectedMonth;
     const amount = parseFloat(value) || 0;
@@ -433,6 +849,13 @@ const Monthly = {
       delete this.state.allocations[month][memberName];
     }
 
+    // Typed amounts override the policy for this month
+    this.state.policies[month] = {
+      ...this.state.policies[month],
+      type: 'manual',
+      label: SplitPolicies.TYPES.manual
+    };
+
     // Save to config
     this.saveAllocations();
 
@@ -446,6 +869,7 @@ const Monthly = {
   saveAllocations() {
     const config = Store.getConfig();
     config.monthlyAllocations = this.state.allocations;
+    config.monthlyPolicies = this.state.policies;
     // Clean up legacy key if present
     if (config.monthlyBudgets) {
       delete config.monthlyBudgets;
@@ -456,6 +880,7 @@ const Monthly = {
   async applyToYnab() {
     if (this._busy) return;
     this._busy = true;
+    let releaseLock = null;
     try {
     const config = Store.getConfig();
     const month = this.state.selectedMonth;
@@ -497,88 +922,304 @@ const Monthly = {
 
     if (!confirmed) return;
 
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
     this.showLoading(true);
 
+    // Records every write so a partial apply can be undone
+    const journal = WriteJournal.start('Apply allocations');
+
     try {
-      // Parse month for monthly ID generation
-      const [year, monthNum] = month.split('-').map(Number);
-      const monthlyId = LinkUtils.generateMonthlyId(monthNum, year);
-      const monthLabel = new Date(year, monthNum - 1, 1)
-        .toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+      await this.writeMonthAllocations(journal, config, month, allocations);
 
+      Utils.showToast('Allocations applied to YNAB!', 'success');
+
+      // Invalidate cache and reload
       for (const member of config.members) {
-        const allocation = allocations[member.name];
-        if (!allocation) continue;
+        DataService.invalidateMonthCache(member.budgetId, monthDate);
+      }
+      await this.refreshSharedTransactions(config);
 
-        const data = monthData?.members[member.name] || {};
-        const balancingActivity = YnabClient.fromMilliunits(data.balancingActivity || 0);
+      // Reload data and refresh history
+      delete this.state.monthsData[month];
+      await this.loadSelectedMonthData();
+      this.renderHistory();
 
-        // Calculate budgets
-        // Shared Budget = Total Allocation + Balancing Activity
-        const sharedExpensesBudget = allocation + balancingActivity;
-        const balancingBudget = -balancingActivity; // To make available = 0
+    } catch (error) {
+      console.error('Failed to apply allocations:', error);
+      Utils.showToast(`Failed to apply: ${error.message}`, 'error');
 
-        // Convert to milliunits
-        const sharedMilliunits = YnabClient.toMilliunits(sharedExpensesBudget);
-        const balancingMilliunits = YnabClient.toMilliunits(balancingBudget);
+      // Offer to undo the members already applied, then reload the real state
+      if (journal.entries.length > 0) {
+        await WriteJournal.offerRollback(journal, error);
+        for (const member of config.members) {
+          DataService.invalidateMonthCache(member.budgetId, monthDate);
+        }
+        await this.refreshSharedTransactions(config);
+        delete this.state.monthsData[month];
+        await this.loadSelectedMonthData();
+      }
+    } finally {
+      this.showLoading(false);
+    }
+    } finally {
+      this._busy = false;
+      releaseLock?.();
+    }
+  },
 
-        // Update Shared Expenses category in personal budget
-        await YnabClient.updateCategoryBudget(
-          member.budgetId,
-          monthDate,
-          member.sharedCategoryId,
-          sharedMilliunits
-        );
+  /**
+   * Months up to now with a template assigned but no #M-MM-YY# contribution
+   * transaction in the shared budget yet
+   * @returns {string[]} 'YYYY-MM', oldest first
+   */
+  getCatchUpMonths() {
+    const config = Store.getConfig();
+    const currentMonth = this.getCurrentMonthStr();
+    const appliedIds = new Set(
+      Store.getTransactions(config.sharedBudgetId)
+        .filter(t => !t.deleted)
+        .map(t => LinkUtils.extractId(t.memo))
+        .filter(id => LinkUtils.isMonthlyId(id))
+    );
+
+    return Object.keys(config.templateAssignments || {})
+      .filter(month => month <= currentMonth && AllocationTemplates.getAssigned(config, month))
+      .filter(month => {
+        const [year, monthNum] = month.split('-').map(Number);
+        return !appliedIds.has(LinkUtils.generateMonthlyId(monthNum, year));
+      })
+      .sort();
+  },
 
-        // Update Balancing category if configured
-        if (member.balancingCategoryId) {
-          await YnabClient.updateCategoryBudget(
-            member.budgetId,
-            monthDate,
-            member.balancingCategoryId,
-            balancingMilliunits
-          );
-        }
+  /**
+   * Apply every month that has a template but no contribution yet, after one
+   * combined confirmation
+   */
+  async catchUp() {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const config = Store.getConfig();
+    const months = this.getCatchUpMonths();
 
-        // Create or update contribution transaction in shared budget
-        await this.ensureContributionTransaction(
-          config,
-          member,
-          month,
-          allocation,
-          monthlyId,
-          monthLabel
-        );
+    if (months.length === 0) {
+      Utils.showToast('Every templated month is already applied', 'info');
+      return;
+    }
+
+    // Work out each month's amounts (typed amounts win over the template)
+    this.showLoading(true);
+    const plan = [];
+    try {
+      for (const month of months) {
+        if (!this.state.monthsData[month]) await this.loadMonthData(month);
+        const template = AllocationTemplates.getAssigned(config, month);
+        const allocations = this.isAutoFilled(month)
+          ? AllocationTemplates.resolve(template, config.members, this.getMonthTarget(month))
+          : this.state.allocations[month];
+        if (allocations && Object.values(allocations).some(a => a > 0)) {
+          plan.push({ month, template, allocations });
+        }
       }
+    } catch (error) {
+      console.error('Failed to prepare catch-up:', error);
+      Utils.showToast(`Failed to load month data: ${error.message}`, 'error');
+      return;
+    } finally {
+      this.showLoading(false);
+    }
 
-      Utils.showToast('Allocations applied to YNAB!', 'success');
+    if (plan.length === 0) {
+      Utils.showToast('The templated months have nothing to apply', 'info');
+      return;
+    }
 
-      // Invalidate cache and reload
-      for (const member of config.members) {
-        DataService.invalidateMonthCache(member.budgetId, monthDate);
+    const detailItems = plan.map(({ month, template, allocations }) => `
+      <div class="confirm-detail-item">
+        <span class="detail-label">${this.formatMonthLabel(month)}<br><small>${Utils.escapeHtml(template.name)}</small></span>
+        <span class="detail-value">${config.members
+          .filter(m => allocations[m.name] > 0)
+          .map(m => `${Utils.escapeHtml(m.name)} ${Utils.formatCurrency(allocations[m.name])}`)
+          .join('<br>')}</span>
+      </div>
+    `).join('');
+
+    const confirmed = await Utils.confirm({
+      title: `Catch Up ${plan.length} Month${plan.length !== 1 ? 's' : ''}`,
+      html: `
+        <p>These months have a template but no contribution in the shared budget yet:</p>
+        <div class="confirm-detail-list">${detailItems}</div>
+        <p>For each month and member, this sets the <strong>Shared Expenses</strong> and <strong>Balancing</strong> category budgets, and creates a contribution transaction in the shared budget.</p>
+      `,
+      confirmText: 'Apply All',
+      cancelText: 'Cancel'
+    });
+
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    this.showLoading(true);
+
+    // One journal for the lot, so a failure part-way can undo every month
+    const journal = WriteJournal.start('Catch up allocations');
+    // The new contributions must be in Store, or getCatchUpMonths still lists their months
+    const invalidate = async () => {
+      plan.forEach(({ month }) => {
+        config.members.forEach(member => DataService.invalidateMonthCache(member.budgetId, `${month}-01`));
+        delete this.state.monthsData[month];
+      });
+      await this.refreshSharedTransactions(config);
+    };
+
+    try {
+      for (const { month, template, allocations } of plan) {
+        await this.writeMonthAllocations(journal, config, month, allocations);
+
+        // Remember what was applied so the month shows it
+        this.state.allocations[month] = { ...allocations };
+        this.state.policies[month] = {
+          ...this.state.policies[month],
+          type: 'template',
+          label: template.name,
+          templateId: template.id
+        };
       }
-      DataService.invalidateBudgetCache(config.sharedBudgetId);
+      this.saveAllocations();
 
-      // Reload data and refresh history
-      delete this.state.monthsData[month];
+      Utils.showToast(`Applied ${plan.length} month${plan.length !== 1 ? 's' : ''} to YNAB`, 'success');
+      await invalidate();
       await this.loadSelectedMonthData();
       this.renderHistory();
 
     } catch (error) {
-      console.error('Failed to apply allocations:', error);
+      console.error('Failed to catch up allocations:', error);
       Utils.showToast(`Failed to apply: ${error.message}`, 'error');
+
+      if (journal.entries.length > 0) {
+        await WriteJournal.offerRollback(journal, error);
+        await invalidate();
+        await this.loadSelectedMonthData();
+      }
     } finally {
       this.showLoading(false);
     }
     } finally {
       this._busy = false;
+      releaseLock?.();
     }
   },
 
   /**
-   * Ensure a contribution transaction exists in the shared budget for the given month
-   * Creates a new one or updates existing if amount differs
+   * Write a month's allocations: category budgets in each personal budget and
+   * the contribution transactions in the shared budget
+   * @param {object} journal - WriteJournal recording the writes
+   * @param {object} config
+   * @param {string} month - 'YYYY-MM' (its month data must be loaded)
+   * @param {Object} allocations - { memberName: amount }; recorded as the month's
+   *   applied snapshot once written
    */
+  async writeMonthAllocations(journal, config, month, allocations) {
+    const monthDate = `${month}-01`;
+    const monthData = this.state.monthsData[month];
+
+    // Parse month for monthly ID generation
+    const [year, monthNum] = month.split('-').map(Number);
+    const monthlyId = LinkUtils.generateMonthlyId(monthNum, year);
+    const monthLabel = new Date(year, monthNum - 1, 1)
+      .toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+    const contributionCreates = [];
+    const contributionUpdates = [];
+
+    for (const member of config.members) {
+      const allocation = allocations[member.name];
+      if (!allocation) continue;
+
+      const data = monthData?.members[member.name] || {};
+      const balancingActivity = YnabClient.fromMilliunits(data.balancingActivity || 0);
+
+      // Calculate budgets
+      // Shared Budget = Total Allocation + Balancing Activity
+      const sharedExpensesBudget = allocation + balancingActivity;
+      const balancingBudget = -balancingActivity; // To make available = 0
+
+      // Convert to milliunits
+      const sharedMilliunits = YnabClient.toMilliunits(sharedExpensesBudget);
+      const balancingMilliunits = YnabClient.toMilliunits(balancingBudget);
+
+      // Update Shared Expenses category in personal budget
+      await WriteJournal.updateCategoryBudget(
+        journal,
+        member.budgetId,
+        monthDate,
+        member.sharedCategoryId,
+        sharedMilliunits,
+        data.sharedBudgeted || 0
+      );
+
+      // Update Balancing category if configured
+      if (member.balancingCategoryId) {
+        await WriteJournal.updateCategoryBudget(
+          journal,
+          member.budgetId,
+          monthDate,
+          member.balancingCategoryId,
+          balancingMilliunits,
+          data.balancingBudgeted || 0
+        );
+      }
+
+      // Queue the contribution transaction change for the shared budget
+      const change = await this.getContributionChange(
+        config,
+        member,
+        month,
+        allocation,
+        monthlyId,
+        monthLabel
+      );
+      if (change?.create) {
+        contributionCreates.push({ budgetId: config.sharedBudgetId, transaction: change.create });
+      }
+      if (change?.update) {
+        contributionUpdates.push({ budgetId: config.sharedBudgetId, transaction: change.update, previous: change.previous });
+      }
+    }
+
+    // Write all contribution transactions (one bulk request each)
+    if (contributionCreates.length > 0) {
+      await WriteJournal.createTransactionsByBudget(journal, contributionCreates);
+    }
+    if (contributionUpdates.length > 0) {
+      await WriteJournal.updateTransactionsByBudget(journal, contributionUpdates);
+    }
+
+    // Remember what YNAB now holds, so later edits to the allocation here
+    // aren't mistaken for changes made in YNAB
+    const applied = {};
+    Object.entries(allocations).forEach(([name, amount]) => {
+      if (amount) applied[name] = amount;
+    });
+    this.state.policies[month] = {
+      ...this.state.policies[month],
+      applied: { ...this.state.policies[month]?.applied, ...applied }
+    };
+    this.saveAllocations();
+  },
+
+  /**
+   * Pull the shared budget's transactions into Store after writing contributions
+   * WriteJournal doesn't update Store, and reconcileMonth reads contributions from it.
+   */
+  async refreshSharedTransactions(config) {
+    DataService.invalidateBudgetCache(config.sharedBudgetId);
+    await DataService.getTransactions(config.sharedBudgetId);
+  },
+
   /**
    * Look up the "Inflow: Ready to Assign" category for a budget.
    * Caches the result for the session.
@@ -587,7 +1228,7 @@ const Monthly = {
   async getReadyToAssignCategoryId(budgetId) {
     if (this._readyToAssignCache[budgetId]) return this._readyToAssignCache[budgetId];
 
-    const categoryGroups = await YnabClient.getCategories(budgetId);
+    const categoryGroups = await DataService.getCategoryGroups(budgetId);
     for (const group of (categoryGroups || [])) {
       for (const cat of (group.categories || [])) {
         if (cat.name === 'Inflow: Ready to Assign') {
@@ -599,7 +1240,12 @@ const Monthly = {
     return null;
   },
 
-  async ensureContributionTransaction(config, member, month, amount, monthlyId, monthLabel) {
+  /**
+   * Work out the contribution transaction change for a member's month
+   * Returns { create } for a new transaction, { update, previous } if the amount
+   * differs, or null if the existing one is already correct. Nothing is written here.
+   */
+  async getContributionChange(config, member, month, amount, monthlyId, monthLabel) {
     const monthDate = `${month}-01`;
     const expectedMemo = `#${monthlyId}#`;
     const amountMilliunits = YnabClient.toMilliunits(amount);
@@ -617,34 +1263,237 @@ const Monthly = {
     });
 
     if (existingTxn) {
-      // Update if amount differs
-      if (existingTxn.amount !== amountMilliunits) {
-        await YnabClient.updateTransaction(config.sharedBudgetId, existingTxn.id, {
-          amount: amountMilliunits
-        });
-        console.log(`[Monthly] Updated contribution for ${member.name}: ${Utils.formatCurrency(amount)}`);
-      }
-    } else {
-      // Look up "Inflow: Ready to Assign" category
-      const readyToAssignId = await this.getReadyToAssignCategoryId(config.sharedBudgetId);
-
-      // Create new contribution transaction
-      const txnData = {
-        account_id: member.contributionAccountId,
-        date: monthDate,
-        amount: amountMilliunits,
-        payee_name: `Monthly Contribution - ${monthLabel}`,
-        memo: expectedMemo,
-        cleared: 'cleared',
-        approved: true,
-        flag_color: 'purple'
+      if (existingTxn.amount === amountMilliunits) return null;
+      console.log(`[Monthly] Updating contribution for ${member.name}: ${Utils.formatCurrency(amount)}`);
+      return {
+        update: { id: existingTxn.id, amount: amountMilliunits },
+        previous: { id: existingTxn.id, amount: existingTxn.amount }
       };
-      if (readyToAssignId) {
-        txnData.category_id = readyToAssignId;
+    }
+
+    // Look up "Inflow: Ready to Assign" category
+    const readyToAssignId = await this.getReadyToAssignCategoryId(config.sharedBudgetId);
+
+    const txnData = {
+      account_id: member.contributionAccountId,
+      date: monthDate,
+      amount: amountMilliunits,
+      payee_name: `Monthly Contribution - ${monthLabel}`,
+      memo: expectedMemo,
+      cleared: 'cleared',
+      approved: true,
+      flag_color: 'purple'
+    };
+    if (readyToAssignId) {
+      txnData.category_id = readyToAssignId;
+    }
+
+    console.log(`[Monthly] Creating contribution for ${member.name}: ${Utils.formatCurrency(amount)}`);
+    return { create: txnData };
+  },
+
+  /**
+   * Golden Rule checks and month health warnings for a month
+   */
+  renderGoldenRule(month) {
+    const config = Store.getConfig();
+    const monthData = this.state.monthsData[month];
+    if (!monthData || month > this.getCurrentMonthStr()) return '';
+
+    const allocations = {};
+    Object.entries(this.reconcileMonth(month)).forEach(([name, check]) => {
+      allocations[name] = check.allocation;
+    });
+    const results = GoldenRule.validateMonth(month, monthData, allocations);
+    const warnings = GoldenRule.getHealthWarnings(month, {
+      sharedCategories: monthData.sharedCategories,
+      contributionBalances: month === this.getCurrentMonthStr() ? this.state.contributionAccountBalances : null
+    });
+
+    const failing = Object.values(results).flat().filter(r => !r.pass).length;
+
+    const rowHtml = (result) => `
+      <div class="golden-rule-row ${result.pass ? 'pass' : 'fail'}">
+        <div class="golden-rule-check">
+          <span class="golden-rule-icon">${result.pass ? '✓' : '✗'}</span>
+          <span>${Utils.escapeHtml(result.label)}</span>
+          ${result.pass ? '' : `<span class="golden-rule-discrepancy">${result.discrepancy > 0 ? '+' : ''}${Utils.formatCurrency(result.discrepancy)}</span>`}
+        </div>
+        ${result.note ? `<div class="golden-rule-note">${Utils.escapeHtml(result.note)}</div>` : ''}
+        ${result.transactions.length > 0 ? `
+          <details class="golden-rule-details">
+            <summary>${result.transactions.length} transaction${result.transactions.length !== 1 ? 's' : ''}</summary>
+            <table class="golden-rule-txns">
+              ${result.transactions.map(c => `
+                <tr>
+                  <td>${c.txn.date}</td>
+                  <td>${c.side === 'personal' ? 'Personal' : 'Shared'}</td>
+                  <td>${Utils.escapeHtml(c.txn.payee_name || '')}</td>
+                  <td class="${c.amount >= 0 ? 'positive' : 'negative'}">${Utils.formatCurrency(YnabClient.fromMilliunits(c.amount))}</td>
+                  <td class="text-muted">${Utils.escapeHtml(c.reason)}</td>
+                </tr>
+              `).join('')}
+            </table>
+          </details>
+        ` : ''}
+      </div>
+    `;
+
+    return `
+      <div class="golden-rule">
+        <div class="golden-rule-header">
+          <h4>Golden Rule</h4>
+          <span class="golden-rule-summary ${failing > 0 ? 'fail' : 'pass'}">
+            ${failing > 0 ? `${failing} check${failing !== 1 ? 's' : ''} failing` : 'All checks pass'}
+          </span>
+        </div>
+        ${config.members.map(member => `
+          <div class="golden-rule-member">
+            <h5>${Utils.escapeHtml(member.name)}</h5>
+            ${(results[member.name] || []).map(rowHtml).join('')}
+          </div>
+        `).join('')}
+        ${warnings.length > 0 ? `
+          <div class="month-health">
+            <h5>Month Health</h5>
+            <ul>${warnings.map(w => `<li>${Utils.escapeHtml(w)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+
+  // ==================
+  // Reconciliation
+  // ==================
+
+  /**
+   * Compare a month's allocation with what's actually in YNAB, per member:
+   * the Shared Expenses and Balancing `budgeted` in the personal budget and
+   * the #M-MM-YY# contribution in the shared budget. Applied months are
+   * compared with what was applied, not the allocation being edited since.
+   *
+   * Status is 'ok', 'drift' (applied, but something no longer matches),
+   * 'unapplied' (no contribution yet) or 'empty' (nothing allocated).
+   * @param {string} month - 'YYYY-MM' (its month data must be loaded)
+   * @returns {Object} { memberName: { status, allocation, issues: string[] } }
+   */
+  reconcileMonth(month) {
+    const config = Store.getConfig();
+    const monthData = this.state.monthsData[month];
+    const result = {};
+    if (!monthData) return result;
+
+    const [year, monthNum] = month.split('-').map(Number);
+    const monthlyId = LinkUtils.generateMonthlyId(monthNum, year);
+    const matches = (a, b) => Math.abs(a - b) < 0.01;
+
+    config.members.forEach(member => {
+      const data = monthData.members[member.name] || {};
+      const sharedBudgeted = YnabClient.fromMilliunits(data.sharedBudgeted || 0);
+      const balancingBudgeted = YnabClient.fromMilliunits(data.balancingBudgeted || 0);
+      const balancingActivity = YnabClient.fromMilliunits(data.balancingActivity || 0);
+
+      // What was applied, else the saved allocation, else the one implied by what's budgeted
+      const applied = this.state.policies[month]?.applied?.[member.name];
+      const saved = this.state.allocations[month]?.[member.name];
+      const allocation = applied ?? saved ?? sharedBudgeted - balancingActivity;
+
+      const contributionTxn = Store.getTransactions(config.sharedBudgetId, { accountId: member.contributionAccountId })
+        .find(t => !t.deleted && LinkUtils.extractId(t.memo) === monthlyId);
+      const contribution = contributionTxn ? YnabClient.fromMilliunits(contributionTxn.amount) : null;
+
+      const issues = [];
+      const expectedShared = allocation + balancingActivity;
+      if (!matches(sharedBudgeted, expectedShared)) {
+        issues.push(`Shared Expenses budgeted ${Utils.formatCurrency(sharedBudgeted)}, expected ${Utils.formatCurrency(expectedShared)}`);
+      }
+      if (member.balancingCategoryId && !matches(balancingBudgeted, -balancingActivity)) {
+        issues.push(`Balancing budgeted ${Utils.formatCurrency(balancingBudgeted)}, expected ${Utils.formatCurrency(-balancingActivity)}`);
+      }
+      if (contribution !== null && !matches(contribution, allocation)) {
+        issues.push(`Contribution ${Utils.formatCurrency(contribution)}, expected ${Utils.formatCurrency(allocation)}`);
+      }
+
+      let status;
+      if (!(allocation > 0) && contribution === null) {
+        status = 'empty';
+      } else if (contribution === null) {
+        status = 'unapplied';
+      } else {
+        status = issues.length > 0 ? 'drift' : 'ok';
       }
 
-      await YnabClient.createTransaction(config.sharedBudgetId, txnData);
-      console.log(`[Monthly] Created contribution for ${member.name}: ${Utils.formatCurrency(amount)}`);
+      result[member.name] = { status, allocation, contribution, issues };
+    });
+
+    return result;
+  },
+
+  /**
+   * Write a member's allocation back to YNAB so budgets and contribution match it again
+   */
+  async realign(month, memberName) {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const config = Store.getConfig();
+    const member = config.members.find(m => m.name === memberName);
+    const check = this.reconcileMonth(month)[memberName];
+    if (!member || !check || check.status !== 'drift') return;
+
+    const confirmed = await Utils.confirm({
+      title: `Re-align ${memberName} — ${this.formatMonthLabel(month)}`,
+      html: `
+        <p>YNAB no longer matches the ${Utils.formatCurrency(check.allocation)} allocation:</p>
+        <div class="confirm-detail-list">
+          ${check.issues.map(issue => `
+            <div class="confirm-detail-item"><span class="detail-label">${Utils.escapeHtml(issue)}</span></div>
+          `).join('')}
+        </div>
+        <p>Re-aligning sets the category budgets and the contribution back to the allocation. To keep the YNAB amounts instead, change the allocation on the Monthly screen.</p>
+      `,
+      confirmText: 'Re-align',
+      cancelText: 'Cancel'
+    });
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    this.showLoading(true);
+    const monthDate = `${month}-01`;
+    const journal = WriteJournal.start('Re-align allocation');
+    const reload = async () => {
+      DataService.invalidateMonthCache(member.budgetId, monthDate);
+      await this.refreshSharedTransactions(config);
+      delete this.state.monthsData[month];
+      if (month === this.state.selectedMonth) {
+        await this.loadSelectedMonthData();
+      } else {
+        await this.loadMonthData(month);
+      }
+      this.renderHistoryIfLoaded();
+    };
+
+    try {
+      await this.writeMonthAllocations(journal, config, month, { [memberName]: check.allocation });
+      Utils.showToast(`${memberName}'s ${this.formatMonthLabel(month)} allocation re-aligned`, 'success');
+      await reload();
+    } catch (error) {
+      console.error('Failed to re-align allocation:', error);
+      Utils.showToast(`Failed to re-align: ${error.message}`, 'error');
+      if (journal.entries.length > 0) {
+        await WriteJournal.offerRollback(journal, error);
+        await reload();
+      }
+    } finally {
+      this.showLoading(false);
+    }
+    } finally {
+      this._busy = false;
+      releaseLock?.();
     }
   },
 
@@ -712,14 +1561,27 @@ const Monthly = {
       });
     });
 
+    // Compare each loaded month with YNAB
+    const reconciliation = {};
+    months.forEach(month => {
+      reconciliation[month] = this.reconcileMonth(month);
+    });
+
     const memberRows = config.members.map(member => {
       const cells = months.map(month => {
         const totalAllocation = allocationsByMonth[month][member.name];
         const hasValue = totalAllocation > 0;
+        const check = reconciliation[month][member.name];
+        const hasDrift = check?.status === 'drift';
 
         return `
-          <td class="history-cell ${hasValue ? 'has-value' : ''}">
+          <td class="history-cell ${hasValue ? 'has-value' : ''} ${hasDrift ? 'drift' : ''}"
+              ${hasDrift ? `title="${Utils.escapeHtml(check.issues.join('\n'))}"` : ''}>
             ${hasValue ? Utils.formatCurrency(totalAllocation) : '—'}
+            ${hasDrift ? `
+              <button class="history-realign" title="Re-align YNAB with this allocation"
+                      onclick="Monthly.realign('${month}', ${Utils.escapeJsString(member.name)})">&#8635;</button>
+            ` : ''}
           </td>
         `;
       }).join('');
@@ -754,6 +1616,19 @@ const Monthly = {
       </tr>
     `;
 
+    // Split policy each month was filled with
+    const policyCells = months.map(month => {
+      const label = this.state.policies[month]?.label;
+      return `<td class="history-cell history-policy-cell">${label ? Utils.escapeHtml(label) : '—'}</td>`;
+    }).join('');
+
+    const policyRow = `
+      <tr class="history-policy-row">
+        <td class="history-member-name">Policy</td>
+        ${policyCells}
+      </tr>
+    `;
+
     const html = `
       <div class="history-table-wrapper">
         <table class="history-table">
@@ -766,6 +1641,7 @@ const Monthly = {
           <tbody>
             ${memberRows}
             ${totalRow}
+            ${policyRow}
           </tbody>
         </table>
       </div>
@@ -0,0 +1,478 @@
+/**
+ * Outbox Module
+ * Persistent queue of YNAB writes made while offline.
+ *
+ * When a write can't reach YNAB, YnabClient hands it here instead of
+ * failing. The write is saved to localStorage, applied optimistically to
+ * Store (new transactions get temporary `tmp-` IDs) and answered with a
+ * response shaped like the real API one, so callers carry on as usual.
+ * Queued writes are replayed in order once a request gets through again.
+ *
+ * Writes made as part of one action (a WriteJournal, e.g. a settle-up) carry
+ * its `group`; if YNAB rejects one of them on replay, the rest of the set is
+ * discarded with it rather than sent on its own.
+ *
+ * Conflicts: each write remembers the budget's server_knowledge when it was
+ * queued. Before replaying, a delta fetch shows which transactions changed on
+ * the server since; queued writes touching those are listed for the user to
+ * apply anyway or discard.
+ */
+const Outbox = {
+  _state: null,        // { ops: [], idMap: { tempId: realId } } (persisted)
+  _offline: false,
+  _replaying: false,
+  _listeners: new Set(),
+
+  /**
+   * Track browser connectivity
+   */
+  init() {
+    window.addEventListener('online', () => this.setOffline(false));
+    window.addEventListener('offline', () => this.setOffline(true));
+    // Another tab queued or replayed writes: reload the queue it saved
+    window.addEventListener('storage', (event) => {
+      if (event.key !== Storage.KEYS.OUTBOX) return;
+      this._state = null;
+      this._notify();
+    });
+    this._offline = navigator.onLine === false;
+    this._notify();
+  },
+
+  // ==================
+  // State
+  // ==================
+
+  _getState() {
+    if (!this._state) {
+      this._state = Storage.get(Storage.KEYS.OUTBOX) || { ops: [], idMap: {} };
+    }
+    return this._state;
+  },
+
+  _save() {
+    const state = this._getState();
+    if (state.ops.length === 0) {
+      state.idMap = {};
+      Storage.remove(Storage.KEYS.OUTBOX);
+    } else {
+      Storage.set(Storage.KEYS.OUTBOX, state);
+    }
+    this._notify();
+  },
+
+  /**
+   * Drop every queued write (on disconnect)
+   */
+  clear() {
+    this._getState().ops = [];
+    this._save();
+  },
+
+  count() {
+    return this._getState().ops.length;
+  },
+
+  isOffline() {
+    return this._offline;
+  },
+
+  /**
+   * Mark the connection as lost or restored; coming back online starts a replay
+   */
+  setOffline(offline) {
+    if (this._offline === offline) return;
+    this._offline = offline;
+    this._notify();
+    if (!offline) this.replay();
+  },
+
+  /**
+   * Whether a write should be queued rather than sent
+   * Also true while earlier writes are still waiting, so order is kept.
+   */
+  shouldQueue() {
+    return this._offline || this.count() > 0;
+  },
+
+  /**
+   * Subscribe to outbox changes
+   * @param {Function} callback - Called with { pending, offline, syncing }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  },
+
+  _notify() {
+    const state = { pending: this.count(), offline: this._offline, syncing: this._replaying };
+    this._listeners.forEach(cb => {
+      try {
+        cb(state);
+      } catch (e) {
+        console.error('Outbox listener error:', e);
+      }
+    });
+  },
+
+  // ==================
+  // Queueing
+  // ==================
+
+  /**
+   * Queue a write and answer it optimistically
+   * @param {string} endpoint - API endpoint (e.g. /budgets/{id}/transactions)
+   * @param {object} options - fetch options with method and JSON body, and the
+   *   optional `group` ({ id, label }) of the action the write belongs to
+   * @param {object} [flags]
+   * @param {boolean} [flags.maybeSent] - The write was sent but the connection
+   *   dropped before the response; creates are checked for before replay
+   * @returns {Promise<object>} Response data shaped like the YNAB API's
+   */
+  async enqueue(endpoint, options, { maybeSent = false } = {}) {
+    const body = options.body ? JSON.parse(options.body) : {};
+    const budgetId = endpoint.split('/')[2];
+    const meta = await TxnDb.getMeta(budgetId).catch(() => null);
+
+    const op = {
+      id: this._tempId('op'),
+      method: options.method,
+      endpoint,
+      body,
+      budgetId,
+      serverKnowledge: meta?.serverKnowledge ?? null,
+      queuedAt: Date.now()
+    };
+    if (options.group) op.group = options.group;
+    if (op.method === 'POST' && this._resource(op) === 'transactions') {
+      op.tempIds = (body.transactions || [body.transaction]).map(() => this._tempId('tmp'));
+      if (maybeSent) op.maybeSent = true;
+    }
+
+    // Re-read in case another tab changed the queue since we last looked
+    this._state = null;
+    const state = this._getState();
+    state.ops.push(op);
+    this._save();
+    console.log(`[Outbox] Queued ${op.method} ${endpoint} (${state.ops.length} pending)`);
+
+    // Show the change straight away
+    if (Store.hasTransactions(budgetId)) {
+      Store.setTransactions(budgetId, this._applyOps(Store.getTransactions(budgetId), [op]));
+    }
+
+    // Online but behind earlier writes: kick off a replay
+    if (!this._offline) this.replay();
+
+    return this._optimisticResponse(op);
+  },
+
+  /**
+   * Overlay pending writes on transactions loaded from cache or API
+   * @param {string} budgetId
+   * @param {Array} transactions
+   * @returns {Array}
+   */
+  applyPending(budgetId, transactions) {
+    const ops = this._getState().ops.filter(op => op.budgetId === budgetId);
+    return ops.length > 0 ? this._applyOps(transactions, ops) : transactions;
+  },
+
+  _applyOps(transactions, ops) {
+    const byId = new Map(transactions.map(t => [t.id, t]));
+    ops.forEach(op => {
+      this._effects(op).forEach(({ action, txn }) => {
+        const id = this._resolveId(txn.id);
+        if (action === 'delete') {
+          byId.delete(id);
+        } else if (op.method === 'POST' || byId.has(id)) {
+          byId.set(id, { ...byId.get(id), ...txn, id });
+        }
+      });
+    });
+    return Array.from(byId.values());
+  },
+
+  /**
+   * Transactions a queued write adds, changes or removes
+   * @returns {Array<{action: 'upsert'|'delete', txn: object}>}
+   */
+  _effects(op) {
+    if (this._resource(op) !== 'transactions') return [];
+    const transactionId = op.endpoint.split('/')[4];
+
+    switch (op.method) {
+      case 'POST':
+        return (op.body.transactions || [op.body.transaction]).map((t, i) => ({
+          action: 'upsert',
+          txn: { ...t, id: op.tempIds[i], deleted: false }
+        }));
+      case 'PATCH':
+        return op.body.transactions.map(t => ({ action: 'upsert', txn: t }));
+      case 'PUT':
+        return [{ action: 'upsert', txn: { ...op.body.transaction, id: transactionId } }];
+      case 'DELETE':
+        return [{ action: 'delete', txn: { id: transactionId } }];
+      default:
+        return [];
+    }
+  },
+
+  _optimisticResponse(op) {
+    if (this._resource(op) === 'months') {
+      const categoryId = op.endpoint.split('/')[6];
+      return { category: { id: categoryId, ...op.body.category } };
+    }
+
+    const txns = this._effects(op).map(e => ({ ...e.txn, deleted: e.action === 'delete' }));
+    if (op.method === 'POST' && op.body.transactions) {
+      return { transactions: txns, duplicate_import_ids: [] };
+    }
+    if (op.method === 'PATCH') {
+      return { transactions: txns };
+    }
+    return { transaction: txns[0] };
+  },
+
+  // '/budgets/{id}/transactions/...' → 'transactions'
+  _resource(op) {
+    return op.endpoint.split('/')[3];
+  },
+
+  _tempId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  _resolveId(id) {
+    return this._getState().idMap[id] || id;
+  },
+
+  // Swap temp IDs for the real ones YNAB assigned during replay
+  _resolveIds(text) {
+    return text.replace(/tmp-[a-z0-9]+-[a-z0-9]+/g, id => this._resolveId(id));
+  },
+
+  // ==================
+  // Replay
+  // ==================
+
+  /**
+   * Send queued writes in order
+   * Stops, keeping the rest queued, if the connection drops again or YNAB
+   * can't take the write right now (5xx, rate limit, invalid key). A write
+   * YNAB rejects outright (other 4xx) is dropped with an error toast so it
+   * doesn't block the queue, along with the later writes of the same action
+   * and any that refer to transactions it would have created.
+   * The queue is shared by every tab, so replay holds the cross-tab write lock
+   * and re-reads the queue once it has it.
+   */
+  async replay() {
+    if (this._replaying || this.count() === 0 || !YnabClient.isInitialized()) return;
+
+    this._replaying = true;
+    this._notify();
+    await TabSync.withWriteLock(() => this._replayLocked());
+  },
+
+  async _replayLocked() {
+    this._state = null;
+    const touched = new Set();
+    const sentGroups = new Set();
+    let sent = 0;
+
+    try {
+      if (this.count() > 0) await this._dropAlreadySent(touched);
+      if (this.count() > 0) await this._resolveConflicts();
+
+      while (this.count() > 0) {
+        const state = this._getState();
+        const op = state.ops[0];
+        try {
+          const data = await YnabClient.request(this._resolveIds(op.endpoint), {
+            method: op.method,
+            body: op.method === 'DELETE' ? undefined : this._resolveIds(JSON.stringify(op.body)),
+            queue: false
+          });
+          if (op.tempIds) {
+            const created = data.transactions || [data.transaction];
+            op.tempIds.forEach((tempId, i) => {
+              if (created[i]) state.idMap[tempId] = created[i].id;
+            });
+          }
+          sent++;
+          if (op.group) sentGroups.add(op.group.id);
+        } catch (error) {
+          if (!this._isRejection(error)) throw error;
+          const dependents = this._dependents(op);
+          console.error('[Outbox] Write rejected, dropping it and its dependents:', op, dependents, error);
+          dependents.forEach(o => touched.add(o.budgetId));
+          const discarded = new Set(dependents.map(o => o.id));
+          state.ops = state.ops.filter(o => !discarded.has(o.id));
+          Utils.showToast(this._rejectionMessage(op, dependents.length, sentGroups.has(op.group?.id), error), 'error', 8000);
+        }
+        touched.add(op.budgetId);
+        state.ops = state.ops.filter(o => o.id !== op.id);
+        this._save();
+      }
+
+      if (sent > 0) {
+        Utils.showToast(`Synced ${sent} queued change${sent !== 1 ? 's' : ''} to YNAB`, 'success');
+      }
+    } catch (error) {
+      // The rest stays queued for the next attempt
+      console.warn('[Outbox] Replay interrupted:', error.message);
+      if (error.status === 0) {
+        this._offline = true;
+      } else {
+        Utils.showToast(`Could not sync queued changes, they stay queued: ${error.message}`, 'error');
+      }
+    } finally {
+      this._replaying = false;
+      this._notify();
+
+      // Temp rows give way to the real transactions on the next delta sync
+      if (touched.size > 0) {
+        touched.forEach(budgetId => DataService.invalidateBudgetCache(budgetId));
+        App.refreshActiveScreen();
+      }
+    }
+  },
+
+  /**
+   * Whether YNAB turned the write down for good, rather than being unable to
+   * take it right now (offline, 5xx, rate limit) or the token being invalid
+   */
+  _isRejection(error) {
+    return error.status >= 400 && error.status < 500 && error.status !== 401 && error.status !== 429 && !error.retryable;
+  },
+
+  /**
+   * Queued writes that can't be sent once `op` is dropped: the rest of its
+   * action, and any that refer to temp IDs it (or another dropped write) created
+   */
+  _dependents(op) {
+    const ops = this._getState().ops;
+    const lostIds = new Set(op.tempIds || []);
+    const dependents = [];
+    ops.slice(ops.indexOf(op) + 1).forEach(other => {
+      const sameGroup = op.group && other.group?.id === op.group.id;
+      const text = other.endpoint + JSON.stringify(other.body);
+      const usesLostId = [...lostIds].some(id => text.includes(id));
+      if (!sameGroup && !usesLostId) return;
+      dependents.push(other);
+      (other.tempIds || []).forEach(id => lostIds.add(id));
+    });
+    return dependents;
+  },
+
+  _rejectionMessage(op, dependentCount, partlySent, error) {
+    const what = op.group ? `"${op.group.label}"` : 'A queued change';
+    const also = dependentCount > 0 ? ` with ${dependentCount} related change${dependentCount !== 1 ? 's' : ''}` : '';
+    const check = partlySent ? ' Part of it was already written to YNAB; check it there.' : '';
+    return `${what} was rejected by YNAB and discarded${also}: ${error.message.replace(/\.$/, '')}.${check}`;
+  },
+
+  /**
+   * Drop queued creates that reached YNAB before the connection dropped
+   * A bulk create is all-or-nothing, so the op counts as sent when every one
+   * of its transactions shows up on the server (same account, date, amount
+   * and memo, which carries the link ID). Its temp IDs map to the real ones.
+   * @param {Set} touched - Budgets whose data changed
+   */
+  async _dropAlreadySent(touched) {
+    const state = this._getState();
+
+    for (const op of state.ops.filter(o => o.maybeSent)) {
+      const txns = op.body.transactions || [op.body.transaction];
+      const delta = await YnabClient.getAllTransactions(op.budgetId, op.serverKnowledge !== null
+        ? { lastKnowledge: op.serverKnowledge }
+        : { sinceDate: txns.map(t => t.date).sort()[0] });
+
+      const claimed = new Set(Object.values(state.idMap));
+      const created = [];
+      txns.forEach(txn => {
+        const match = delta.transactions.find(t => !t.deleted && !claimed.has(t.id)
+          && t.account_id === txn.account_id && t.date === txn.date && t.amount === txn.amount
+          && (t.memo || '') === (txn.memo || ''));
+        if (match) {
+          claimed.add(match.id);
+          created.push(match);
+        }
+      });
+
+      if (created.length === txns.length) {
+        console.log(`[Outbox] ${op.method} ${op.endpoint} already reached YNAB, not resending`);
+        op.tempIds.forEach((tempId, i) => { state.idMap[tempId] = created[i].id; });
+        state.ops = state.ops.filter(o => o.id !== op.id);
+        touched.add(op.budgetId);
+      } else {
+        delete op.maybeSent;
+      }
+      this._save();
+    }
+  },
+
+  /**
+   * Find queued writes to transactions that changed on the server after they
+   * were queued, and let the user apply them anyway or discard them
+   */
+  async _resolveConflicts() {
+    const state = this._getState();
+    const conflicts = [];
+
+    const budgetIds = [...new Set(state.ops.map(op => op.budgetId))];
+    for (const budgetId of budgetIds) {
+      const ops = state.ops.filter(op => op.budgetId === budgetId && op.serverKnowledge !== null);
+      if (ops.length === 0) continue;
+
+      const since = Math.min(...ops.map(op => op.serverKnowledge));
+      const delta = await YnabClient.getAllTransactions(budgetId, { lastKnowledge: since });
+      const changed = new Set(delta.transactions.map(t => t.id));
+
+      ops.forEach(op => {
+        const hits = this._effects(op)
+          .filter(e => op.method !== 'POST' && changed.has(this._resolveId(e.txn.id)));
+        if (hits.length > 0) conflicts.push({ op, count: hits.length });
+      });
+    }
+
+    if (conflicts.length === 0) return;
+
+    const items = conflicts.map(({ op, count }) => `
+      <div class="confirm-detail-item">
+        <span class="detail-label">${Utils.escapeHtml(WriteJournal.getBudgetName(op.budgetId))}</span>
+        <span class="detail-value">${this._describe(op)} — ${count} changed in YNAB</span>
+      </div>
+    `).join('');
+
+    const applyAnyway = await Utils.confirm({
+      title: 'Queued Changes Conflict',
+      html: `
+        <p>Some transactions were edited in YNAB after these offline changes were queued:</p>
+        <div class="confirm-detail-list">${items}</div>
+        <p>Apply the queued changes anyway (overwriting the newer edits), or discard them, along with the rest of the action each belongs to?</p>
+      `,
+      confirmText: 'Apply Anyway',
+      cancelText: 'Discard',
+      danger: true
+    });
+
+    if (!applyAnyway) {
+      // The rest of each discarded write's action goes with it
+      const discarded = new Set(conflicts.flatMap(c => [c.op, ...this._dependents(c.op)]).map(op => op.id));
+      state.ops = state.ops.filter(op => !discarded.has(op.id));
+      this._save();
+    }
+  },
+
+  _describe(op) {
+    const count = (op.body.transactions || [op.body.transaction]).length;
+    const plural = count !== 1 ? 's' : '';
+    switch (op.method) {
+      case 'POST': return `Create ${count} transaction${plural}`;
+      case 'DELETE': return 'Delete transaction';
+      default: return this._resource(op) === 'months' ? 'Set category budget' : `Update ${count} transaction${plural}`;
+    }
+  }
+};
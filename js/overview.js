@@ -1,6 +1,7 @@
 /**
  * YNAB Couple Budget - Overview/Dashboard Module
  * Provides a quick summary of balances, sync status, and items needing attention
+ * (detected by Issues)
  *
  * Uses Store subscriptions for reactive updates when transactions change.
  */
@@ -10,6 +11,7 @@ const Overview = {
     loaded: false,
     data: null,
     accountBalances: null,
+    showHiddenIssues: false,
     subscribed: false
   },
 
@@ -137,7 +139,13 @@ const Overview = {
 
       // Calculate balances and insights
       const balances = this.calculateBalances(transactions, members, config, accountBalances);
-      const attentionItems = this.getAttentionItems(transactions, members, config);
+      // A failed check shouldn't keep balances and insights off the screen
+      let attentionItems = null;
+      try {
+        attentionItems = await Issues.detect({ accountBalances });
+      } catch (error) {
+        console.error('Failed to detect issues:', error);
+      }
       const insights = this.calculateInsights(transactions, members, config);
 
       this.state.data = { balances, attentionItems, insights, transactions };
@@ -158,7 +166,7 @@ const Overview = {
    */
   async fetchAccountBalances(config, members) {
     try {
-      const accounts = await YnabClient.getAccounts(config.sharedBudgetId);
+      const accounts = await DataService.getAccounts(config.sharedBudgetId);
       const balances = {};
 
       members.forEach(member => {
@@ -194,86 +202,6 @@ const Overview = {
     return { members: balances, total: totalBalance };
   },
 
-  getAttentionItems(transactions, members, config) {
-    const items = [];
-    const cutoffDate = config.consistencyCutoffDate || null;
-
-    members.forEach(member => {
-      const personalTxns = (transactions.members?.[member.name] || []).filter(txn => {
-        if (cutoffDate && txn.date < cutoffDate) return false;
-        if (txn.deleted) return false;
-        return !TxnTypes.isLinked(txn);
-      });
-
-      const sharedTxns = (transactions.shared || []).filter(txn => {
-        if (txn.account_id !== member.contributionAccountId) return false;
-        if (cutoffDate && txn.date < cutoffDate) return false;
-        if (txn.deleted) return false;
-        return !TxnTypes.isLinked(txn);
-      });
-
-      if (personalTxns.length > 0) {
-        items.push({
-          type: 'warning',
-          icon: '&#9888;',
-          title: `${member.name}: ${personalTxns.length} unlinked personal transaction${personalTxns.length !== 1 ? 's' : ''}`,
-          description: 'These transactions need to be linked to the shared budget.',
-          action: {
-            label: 'Link Now',
-            handler: () => App.navigateTo('transactions')
-          }
-        });
-      }
-
-      if (sharedTxns.length > 0) {
-        items.push({
-          type: 'warning',
-          icon: '&#9888;',
-          title: `${member.name}: ${sharedTxns.length} unlinked shared transaction${sharedTxns.length !== 1 ? 's' : ''}`,
-          description: 'These transactions in the shared budget are not yet linked.',
-          action: {
-            label: 'Link Now',
-            handler: () => App.navigateTo('transactions')
-          }
-        });
-      }
-    });
-
-    // Check for balance imbalances between members
-    if (members.length >= 2) {
-      const balances = this.calculateBalances(transactions, members, config, this.state.accountBalances);
-      const memberBalances = balances.members;
-
-      if (memberBalances.length >= 2) {
-        const diff = Math.abs(memberBalances[0].balance - memberBalances[1].balance);
-        if (diff > 100) { // Threshold of 100 currency units
-          const higher = memberBalances[0].balance > memberBalances[1].balance
-            ? memberBalances[0] : memberBalances[1];
-          const lower = memberBalances[0].balance > memberBalances[1].balance
-            ? memberBalances[1] : memberBalances[0];
-
-          items.push({
-            type: 'info',
-            icon: '&#9878;',
-            title: `Balance difference: ${Utils.formatCurrency(diff)}`,
-            description: `${higher.name} has contributed more than ${lower.name}. Consider settling up.`,
-            action: {
-              label: 'Settle Up',
-              handler: () => {
-                App.navigateTo('transactions');
-                setTimeout(() => {
-                  Consistency.openSettleModal();
-                }, 100);
-              }
-            }
-          });
-        }
-      }
-    }
-
-    return items;
-  },
-
   renderBalances(balances, config, accountBalances) {
     if (!this.elements.balancesContent) return;
 
@@ -304,50 +232,96 @@ const Overview = {
     this.elements.balancesContent.innerHTML = html;
   },
 
-  renderAttentionItems(items) {
+  renderAttentionItems(issues) {
     if (!this.elements.attentionContent) return;
 
-    if (items.length === 0) {
+    // Detection failed; leave dismissals alone since the issues are unknown
+    if (!issues) {
       this.elements.attentionContent.innerHTML = `
         <div class="no-attention">
-          <div class="no-attention-icon">&#10003;</div>
-          <div class="no-attention-text">All caught up! No items need attention.</div>
+          <div class="no-attention-text">Couldn't check for issues. Refresh to try again.</div>
         </div>
       `;
       return;
     }
 
-    let html = '<div class="attention-list">';
-
-    items.forEach((item, index) => {
-      html += `
-        <div class="attention-item ${item.type}">
-          <div class="attention-icon">${item.icon}</div>
-          <div class="attention-content">
-            <div class="attention-title">${Utils.escapeHtml(item.title)}</div>
-            <div class="attention-description">${Utils.escapeHtml(item.description)}</div>
-            ${item.action ? `
-              <div class="attention-action">
-                <button class="btn btn-secondary btn-small" data-action-index="${index}">
-                  ${Utils.escapeHtml(item.action.label)}
-                </button>
-              </div>
+    const { active, hidden } = Issues.filter(issues);
+    const icons = { error: '&#10007;', warning: '&#9888;', info: '&#9878;' };
+
+    const itemHtml = (issue, index, isHidden) => `
+      <div class="attention-item ${issue.severity}${isHidden ? ' hidden-issue' : ''}">
+        <div class="attention-icon">${icons[issue.severity]}</div>
+        <div class="attention-content">
+          <div class="attention-title">${Utils.escapeHtml(issue.title)}</div>
+          <div class="attention-description">${Utils.escapeHtml(issue.description)}</div>
+          <div class="attention-action">
+            ${issue.action ? `
+              <button class="btn btn-secondary btn-small" data-action-index="${index}">
+                ${Utils.escapeHtml(issue.action.label)}
+              </button>
             ` : ''}
+            ${isHidden ? `
+              <span class="attention-hidden-note">${issue.dismissal.until ? `Snoozed until ${issue.dismissal.until}` : 'Dismissed'}</span>
+              <button class="attention-link" data-issue-restore="${Utils.escapeHtml(issue.id)}">Restore</button>
+            ` : `
+              <button class="attention-link" data-issue-snooze="${Utils.escapeHtml(issue.id)}">Snooze ${Issues.SNOOZE_DAYS} days</button>
+              <button class="attention-link" data-issue-dismiss="${Utils.escapeHtml(issue.id)}">Dismiss</button>
+            `}
           </div>
         </div>
+      </div>
+    `;
+
+    const listed = [...active, ...(this.state.showHiddenIssues ? hidden : [])];
+    let html = '';
+
+    if (active.length === 0) {
+      html += `
+        <div class="no-attention">
+          <div class="no-attention-icon">&#10003;</div>
+          <div class="no-attention-text">All caught up! No items need attention.</div>
+        </div>
       `;
-    });
+    }
+
+    html += `
+      <div class="attention-list">
+        ${listed.map((issue, index) => itemHtml(issue, index, index >= active.length)).join('')}
+      </div>
+    `;
+
+    if (hidden.length > 0) {
+      html += `
+        <button class="attention-link attention-toggle-hidden" data-issue-toggle-hidden>
+          ${this.state.showHiddenIssues ? 'Hide' : 'Show'} ${hidden.length} snoozed or dismissed
+        </button>
+      `;
+    }
 
-    html += '</div>';
     this.elements.attentionContent.innerHTML = html;
 
     // Bind action handlers
     this.elements.attentionContent.querySelectorAll('[data-action-index]').forEach(btn => {
       const index = parseInt(btn.dataset.actionIndex);
-      if (items[index]?.action?.handler) {
-        btn.addEventListener('click', items[index].action.handler);
+      if (listed[index]?.action?.handler) {
+        btn.addEventListener('click', listed[index].action.handler);
       }
     });
+
+    const rerender = () => this.renderAttentionItems(issues);
+    this.elements.attentionContent.querySelectorAll('[data-issue-snooze]').forEach(btn => {
+      btn.addEventListener('click', () => { Issues.snooze(btn.dataset.issueSnooze); rerender(); });
+    });
+    this.elements.attentionContent.querySelectorAll('[data-issue-dismiss]').forEach(btn => {
+      btn.addEventListener('click', () => { Issues.dismiss(btn.dataset.issueDismiss); rerender(); });
+    });
+    this.elements.attentionContent.querySelectorAll('[data-issue-restore]').forEach(btn => {
+      btn.addEventListener('click', () => { Issues.restore(btn.dataset.issueRestore); rerender(); });
+    });
+    this.elements.attentionContent.querySelector('[data-issue-toggle-hidden]')?.addEventListener('click', () => {
+      this.state.showHiddenIssues = !this.state.showHiddenIssues;
+      rerender();
+    });
   },
 
   /**
@@ -483,19 +457,18 @@ const Overview = {
     // Member contribution bars
     let memberBarsHtml = '';
     if (insights.memberStats.length > 0) {
-      const colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444'];
       memberBarsHtml = `
         <div class="insight-contribution">
           <div class="contribution-bar-container">
             ${insights.memberStats.map((m, i) => `
-              <div class="contribution-segment" style="width: ${m.percentage}%; background: ${colors[i % colors.length]}"
+              <div class="contribution-segment" style="width: ${m.percentage}%; background: ${Charts.memberColor(i)}"
                    title="${Utils.escapeHtml(m.name)}: ${m.percentage.toFixed(1)}%"></div>
             `).join('')}
           </div>
           <div class="contribution-legend">
             ${insights.memberStats.map((m, i) => `
               <span class="legend-item">
-                <span class="legend-dot" style="background: ${colors[i % colors.length]}"></span>
+                <span class="legend-dot" style="background: ${Charts.memberColor(i)}"></span>
                 ${Utils.escapeHtml(m.name)}: ${m.percentage.toFixed(0)}%
               </span>
             `).join('')}
@@ -0,0 +1,124 @@
+/**
+ * Settle Planner
+ * Works out who should pay whom to even out the contribution accounts.
+ *
+ * Each member's contribution account balance in the shared budget is what
+ * they've put in and not yet spent. Squared up, every member holds their
+ * agreed share of the pool (an equal split unless Settings says otherwise);
+ * members above it pay members below it. The plan pairs the largest payer
+ * with the largest receiver until everyone is within a cent, which needs at
+ * most one transfer fewer than there are members.
+ */
+const SettlePlanner = {
+  // Differences below this (in currency units) are left alone
+  EPSILON: 0.005,
+
+  /**
+   * Each member's agreed share of contributions as a fraction
+   * Members without a `contributionShare` (percent) split what's left equally;
+   * the result is normalized so it always sums to 1.
+   * @param {Array} members - Config members
+   * @returns {Object} { memberName: fraction }
+   */
+  getShares(members) {
+    const set = members.filter(m => m.contributionShare > 0);
+    const unset = members.filter(m => !(m.contributionShare > 0));
+    const setTotal = set.reduce((sum, m) => sum + m.contributionShare, 0);
+    const remainder = unset.length > 0 ? Math.max(0, 100 - setTotal) / unset.length : 0;
+
+    const raw = {};
+    set.forEach(m => { raw[m.name] = m.contributionShare; });
+    unset.forEach(m => { raw[m.name] = remainder; });
+
+    const total = Object.values(raw).reduce((sum, v) => sum + v, 0);
+    const shares = {};
+    members.forEach(m => {
+      shares[m.name] = total > 0 ? raw[m.name] / total : 1 / members.length;
+    });
+    return shares;
+  },
+
+  /**
+   * Contribution balances as YNAB reports them for each account, so history
+   * before the loaded window and starting balances count
+   * @param {Array} members - Config members
+   * @param {Object} accountBalances - { memberName: balance } from the accounts endpoint
+   * @returns {Object} { memberName: balance }
+   */
+  getMemberBalances(members, accountBalances) {
+    const balances = {};
+    members.forEach(m => {
+      balances[m.name] = accountBalances?.[m.name] || 0;
+    });
+    return balances;
+  },
+
+  /**
+   * How far each member is from their fair share
+   * @param {Object} balances - { memberName: balance } in currency units
+   * @param {Object} [shares] - { memberName: fraction }; equal if omitted
+   * @returns {Array<{name, balance, share, target, delta}>} delta > 0 means they owe
+   */
+  getDeltas(balances, shares = null) {
+    const names = Object.keys(balances);
+    if (names.length === 0) return [];
+
+    const total = names.reduce((sum, name) => sum + (balances[name] || 0), 0);
+
+    return names.map(name => {
+      const share = shares?.[name] ?? 1 / names.length;
+      const balance = balances[name] || 0;
+      const target = total * share;
+      return { name, balance, share, target, delta: balance - target };
+    });
+  },
+
+  /**
+   * Transfers that bring every member to their fair share
+   * @param {Object} balances - { memberName: balance } in currency units
+   * @param {Object} [shares] - { memberName: fraction }; equal if omitted
+   * @returns {Array<{from, to, amount}>} Largest first, amounts rounded to cents
+   */
+  plan(balances, shares = null) {
+    const deltas = this.getDeltas(balances, shares);
+    const payers = deltas.filter(d => d.delta > this.EPSILON).map(d => ({ ...d }));
+    const receivers = deltas.filter(d => d.delta < -this.EPSILON).map(d => ({ ...d, delta: -d.delta }));
+    const transfers = [];
+
+    while (payers.length > 0 && receivers.length > 0) {
+      payers.sort((a, b) => b.delta - a.delta);
+      receivers.sort((a, b) => b.delta - a.delta);
+      const payer = payers[0];
+      const receiver = receivers[0];
+
+      const amount = Math.min(payer.delta, receiver.delta);
+      const rounded = Math.round(amount * 100) / 100;
+      if (rounded > 0) {
+        transfers.push({ from: payer.name, to: receiver.name, amount: rounded });
+      }
+
+      payer.delta -= amount;
+      receiver.delta -= amount;
+      if (payer.delta <= this.EPSILON) payers.shift();
+      if (receiver.delta <= this.EPSILON) receivers.shift();
+    }
+
+    return transfers;
+  },
+
+  /**
+   * Total money moved by a plan
+   */
+  getTotal(transfers) {
+    return transfers.reduce((sum, t) => sum + t.amount, 0);
+  },
+
+  /**
+   * One-line summary of a plan, e.g. "Anna pays Ben €20.00, Carl pays Ben €5.00"
+   */
+  describe(transfers) {
+    return transfers
+      .map(t => `${t.from} pays ${t.to} ${Utils.formatCurrency(t.amount)}`)
+      .join(', ');
+  }
+};
@@ -1,11 +1,34 @@
 /**
  * Setup Screen Module
- * Handles member configuration and budget binding
+ * Handles member configuration and budget binding, with a guide that creates
+ * missing categories and lists what has to be set up in YNAB by hand
  */
 const Setup = {
+  _busy: false,
   elements: {},
   _saveTimer: null,
 
+  _configErrors: [],
+
+  // Config key → member card select, for marking ConfigValidator errors
+  FIELD_SELECTORS: {
+    budgetId: '.member-budget',
+    sharedCategoryId: '.member-shared-category',
+    balancingCategoryId: '.member-balancing-category',
+    contributionAccountId: '.member-account'
+  },
+
+  // Names used when creating missing categories in a personal budget
+  CATEGORY_NAMES: { shared: 'Shared Expenses', balancing: 'Balancing' },
+  CATEGORY_GROUP_NAME: 'Household',
+
+  // Starter groups and categories for a shared budget that has none yet
+  SHARED_CATEGORY_GROUPS: {
+    'Home': ['Rent', 'Utilities', 'Household Supplies'],
+    'Everyday': ['Groceries', 'Transport'],
+    'Fun': ['Dining Out', 'Outings']
+  },
+
   init(elements) {
     this.elements = elements;
     this.bindEvents();
@@ -68,12 +91,13 @@ const Setup = {
           ${Utils.escapeHtml(a.name)}
         </option>`)
       ?.join('') || '';
+    const staleAccountOption = this._staleAccountOption(sharedDetails, existingData?.contributionAccountId);
 
     const card = document.createElement('div');
     card.className = 'member-card';
     card.innerHTML = `
       <div class="member-card-header">
-        <input type="text" class="member-name" placeholder="Member name (e.g., Matteo)"
+        <input type="text" class="member-name" placeholder="Member name (e.g., Matteo)" maxlength="100"
                value="${Utils.escapeHtml(existingData?.name || '')}">
         <button class="btn-remove" title="Remove member">&times;</button>
       </div>
@@ -106,11 +130,20 @@ const Setup = {
             <select class="member-account">
               <option value="">Select account...</option>
               ${accountOptions}
+              ${staleAccountOption}
             </select>
             <small>Their account in the household budget</small>
           </div>
+          <div class="form-group">
+            <label>Share of Contributions (%)</label>
+            <input type="number" class="member-share" min="0" max="100" step="1" placeholder="Equal"
+                   value="${existingData?.contributionShare ?? ''}">
+            <small>Agreed split used to recommend settle-ups; empty for equal</small>
+          </div>
         </div>
       </div>
+      <div class="setup-guide"></div>
+      <div class="binding-analysis"></div>
     `;
 
     // Bind events
@@ -135,14 +168,31 @@ const Setup = {
     card.querySelector('.member-budget').addEventListener('change', (e) => {
       this.onMemberBudgetSelected(card, e.target.value);
     });
-    card.querySelector('.member-shared-category').addEventListener('change', () => this.saveMembersConfig());
-    card.querySelector('.member-balancing-category').addEventListener('change', () => this.saveMembersConfig());
-    card.querySelector('.member-account').addEventListener('change', () => this.saveMembersConfig());
+    card.querySelector('.member-shared-category').addEventListener('change', () => {
+      this.saveMembersConfig();
+      this.renderSetupGuide(card);
+      this.analyzeBinding(card);
+    });
+    card.querySelector('.member-balancing-category').addEventListener('change', () => {
+      this.saveMembersConfig();
+      this.renderSetupGuide(card);
+    });
+    card.querySelector('.member-account').addEventListener('change', () => {
+      this.saveMembersConfig();
+      this.renderSetupGuide(card);
+      this.analyzeBinding(card);
+    });
+    card.querySelector('.member-share').addEventListener('input', () => {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = setTimeout(() => this.saveMembersConfig(), 400);
+    });
 
     this.elements.membersList.appendChild(card);
 
     if (existingData?.budgetId) {
       this.onMemberBudgetSelected(card, existingData.budgetId, existingData);
+    } else {
+      this.renderSetupGuide(card);
     }
   },
 
@@ -159,9 +209,11 @@ const Setup = {
 
     this.elements.membersList.querySelectorAll('.member-account').forEach(select => {
       const currentValue = select.value;
-      select.innerHTML = '<option value="">Select account...</option>' + accountOptions;
+      select.innerHTML = '<option value="">Select account...</option>' + accountOptions +
+        this._staleAccountOption(sharedDetails, currentValue);
       if (currentValue) select.value = currentValue;
     });
+    this.elements.membersList.querySelectorAll('.member-card').forEach(card => this.renderSetupGuide(card));
   },
 
   async onMemberBudgetSelected(card, budgetId, existingData = null) {
@@ -171,6 +223,7 @@ const Setup = {
     if (!budgetId) {
       sharedCatSelect.innerHTML = '<option value="">Select category...</option>';
       balancingCatSelect.innerHTML = '<option value="">Select category...</option>';
+      this.renderSetupGuide(card);
       return;
     }
 
@@ -180,7 +233,7 @@ const Setup = {
     balancingCatSelect.disabled = true;
 
     try {
-      const categoryGroups = await YnabClient.getCategories(budgetId);
+      const categoryGroups = await DataService.getCategoryGroups(budgetId);
 
       const categories = [];
       for (const group of (categoryGroups || [])) {
@@ -199,7 +252,7 @@ const Setup = {
       if (categories.length === 0) {
         sharedCatSelect.innerHTML = '<option value="">No categories found</option>';
         balancingCatSelect.innerHTML = '<option value="">No categories found</option>';
-        Utils.showToast('No categories found in budget', 'warning');
+        this.renderSetupGuide(card);
         return;
       }
 
@@ -207,8 +260,12 @@ const Setup = {
         `<option value="${c.id}">${Utils.escapeHtml(c.group)} → ${Utils.escapeHtml(c.name)}</option>`
       ).join('');
 
-      sharedCatSelect.innerHTML = '<option value="">Select category...</option>' + categoryOptions;
-      balancingCatSelect.innerHTML = '<option value="">Select category...</option>' + categoryOptions;
+      // Keep a binding that went stale in YNAB visible instead of silently clearing it
+      const details = Store.getBudgetDetails(budgetId);
+      sharedCatSelect.innerHTML = '<option value="">Select category...</option>' + categoryOptions +
+        this._staleCategoryOption(categories, details, existingData?.sharedCategoryId);
+      balancingCatSelect.innerHTML = '<option value="">Select category...</option>' + categoryOptions +
+        this._staleCategoryOption(categories, details, existingData?.balancingCategoryId);
 
       if (existingData?.sharedCategoryId) {
         sharedCatSelect.value = existingData.sharedCategoryId;
@@ -218,6 +275,9 @@ const Setup = {
       }
 
       this.saveMembersConfig();
+      this.renderSetupGuide(card);
+      this.applyConfigErrors(this._configErrors);
+      this.analyzeBinding(card);
 
     } catch (error) {
       console.error('Failed to load categories:', error);
@@ -230,6 +290,406 @@ const Setup = {
     }
   },
 
+  /**
+   * Option for a bound category that's no longer selectable (hidden or deleted)
+   */
+  _staleCategoryOption(categories, details, categoryId) {
+    if (!categoryId || !details || categories.some(c => c.id === categoryId)) return '';
+    const category = details?.categories?.find(c => c.id === categoryId);
+    const label = category ? `⚠ ${category.name} (hidden in YNAB)` : '⚠ Deleted category';
+    return `<option value="${categoryId}">${Utils.escapeHtml(label)}</option>`;
+  },
+
+  /**
+   * Option for a bound account that's no longer selectable (closed, tracking or deleted)
+   */
+  _staleAccountOption(sharedDetails, accountId) {
+    if (!accountId || !sharedDetails?.accounts) return '';
+    const account = sharedDetails.accounts.find(a => a.id === accountId);
+    if (account && account.on_budget && !account.closed) return '';
+    const label = account ? `⚠ ${account.name} (${account.closed ? 'closed' : 'tracking'})` : '⚠ Deleted account';
+    return `<option value="${accountId}">${Utils.escapeHtml(label)}</option>`;
+  },
+
+  /**
+   * Mark the member card selects that ConfigValidator found problems with
+   */
+  applyConfigErrors(errors) {
+    this._configErrors = errors;
+    this.elements.membersList?.querySelectorAll('.member-card').forEach(card => {
+      const name = card.querySelector('.member-name').value.trim();
+      Object.entries(this.FIELD_SELECTORS).forEach(([field, selector]) => {
+        const select = card.querySelector(selector);
+        const messages = errors.filter(e => e.member === name && e.field === field).map(e => e.message);
+        select.classList.toggle('input-error', messages.length > 0);
+        select.title = messages.join(' ');
+      });
+    });
+  },
+
+  /**
+   * List what's missing from a member's binding, with a Create button for
+   * categories and instructions for accounts (the YNAB API can't create those)
+   */
+  renderSetupGuide(card) {
+    const container = card.querySelector('.setup-guide');
+    const sharedBudgetId = this.elements.sharedBudgetSelect.value;
+    const budgetId = card.querySelector('.member-budget').value;
+    const memberName = card.querySelector('.member-name').value.trim() || 'this member';
+    const missing = [];
+
+    if (budgetId) {
+      [['shared', '.member-shared-category'], ['balancing', '.member-balancing-category']].forEach(([kind, selector]) => {
+        if (card.querySelector(selector).value) return;
+        missing.push(`
+          <li>
+            No "${this.CATEGORY_NAMES[kind]}" category selected.
+            <button class="btn btn-secondary btn-small" data-create-category="${kind}">Create it</button>
+          </li>
+        `);
+      });
+    }
+
+    if (sharedBudgetId && !card.querySelector('.member-account').value) {
+      missing.push(`
+        <li>
+          No contribution account selected. The YNAB API can't create accounts: in YNAB, add an
+          on-budget account for ${Utils.escapeHtml(memberName)} to the shared budget (e.g. "${Utils.escapeHtml(memberName)} Contributions"), then
+          <button class="btn btn-secondary btn-small" data-recheck-accounts>Re-check</button>
+        </li>
+      `);
+    }
+
+    const needsSharedCategories = !!sharedBudgetId && !this._hasSpendingCategories(App.state.budgetDetails[sharedBudgetId]);
+    if (missing.length === 0 && !needsSharedCategories) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <h4>Still Needed</h4>
+      ${missing.length > 0 ? `<ul class="setup-guide-list">${missing.join('')}</ul>` : ''}
+      ${needsSharedCategories ? `
+        <p class="setup-guide-note">
+          The shared budget has no spending categories yet.
+          <button class="btn btn-secondary btn-small" data-create-shared-categories>Create starter categories</button>
+        </p>
+      ` : ''}
+    `;
+    container.querySelectorAll('[data-create-category]').forEach(btn => {
+      btn.addEventListener('click', () => this.createMemberCategory(card, btn.dataset.createCategory));
+    });
+    container.querySelector('[data-recheck-accounts]')?.addEventListener('click', () => this.recheckAccounts());
+    container.querySelector('[data-create-shared-categories]')?.addEventListener('click', () => this.createSharedCategories());
+  },
+
+  // Whether a budget has any visible categories outside YNAB's built-in groups
+  _hasSpendingCategories(details) {
+    if (!details?.categories) return true;
+    const builtIn = new Set((details.category_groups || [])
+      .filter(g => ['Internal Master Category', 'Credit Card Payments', 'Hidden Categories'].includes(g.name))
+      .map(g => g.id));
+    return details.categories.some(c => !c.deleted && !c.hidden && !builtIn.has(c.category_group_id));
+  },
+
+  /**
+   * Create a member's Shared Expenses or Balancing category (and the group
+   * it goes in) in their personal budget, or select it if it already exists
+   * @param {HTMLElement} card
+   * @param {'shared'|'balancing'} kind
+   */
+  async createMemberCategory(card, kind) {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const budgetId = card.querySelector('.member-budget').value;
+    if (!budgetId) return;
+
+    const name = this.CATEGORY_NAMES[kind];
+    const budgetName = App.state.budgets.find(b => b.id === budgetId)?.name || 'the personal budget';
+    let categoryGroups;
+    try {
+      categoryGroups = await DataService.getCategoryGroups(budgetId);
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+      Utils.showToast(`Failed to load categories: ${error.message}`, 'error');
+      return;
+    }
+    const visible = categoryGroups.filter(g => !g.hidden);
+    const existing = visible
+      .flatMap(g => g.categories.filter(c => !c.hidden))
+      .find(c => c.name.trim().toLowerCase() === name.toLowerCase());
+
+    const selected = {
+      sharedCategoryId: card.querySelector('.member-shared-category').value,
+      balancingCategoryId: card.querySelector('.member-balancing-category').value
+    };
+    const key = kind === 'shared' ? 'sharedCategoryId' : 'balancingCategoryId';
+
+    if (existing) {
+      await this.onMemberBudgetSelected(card, budgetId, { ...selected, [key]: existing.id });
+      Utils.showToast(`Selected the existing "${existing.name}" category`, 'success');
+      return;
+    }
+
+    const group = visible.find(g => g.name.trim().toLowerCase() === this.CATEGORY_GROUP_NAME.toLowerCase());
+    const confirmed = await Utils.confirm({
+      title: `Create ${name}`,
+      message: `Create the "${name}" category in ${budgetName}` +
+        (group ? ` (in the "${group.name}" group)?` : `, in a new "${this.CATEGORY_GROUP_NAME}" category group?`),
+      confirmText: 'Create',
+      cancelText: 'Cancel'
+    });
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    try {
+      const groupId = group?.id || (await YnabClient.createCategoryGroup(budgetId, this.CATEGORY_GROUP_NAME)).id;
+      const category = await YnabClient.createCategory(budgetId, { name, categoryGroupId: groupId });
+
+      // Re-validate against fresh budget details
+      await DataService.getBudgetDetails(budgetId, { forceRefresh: true });
+      await this.onMemberBudgetSelected(card, budgetId, { ...selected, [key]: category.id });
+      Utils.showToast(`Created "${name}" in ${budgetName}`, 'success');
+    } catch (error) {
+      console.error('Failed to create category:', error);
+      Utils.showToast(`Failed to create category: ${error.message}`, 'error');
+    }
+    } finally {
+      this._busy = false;
+      releaseLock?.();
+    }
+  },
+
+  /**
+   * Create the SHARED_CATEGORY_GROUPS groups and categories in the shared
+   * budget, reusing groups and skipping categories that already exist
+   */
+  async createSharedCategories() {
+    if (this._busy) return;
+    this._busy = true;
+    let releaseLock = null;
+    try {
+    const budgetId = this.elements.sharedBudgetSelect.value;
+    if (!budgetId) return;
+
+    const budgetName = App.state.budgets.find(b => b.id === budgetId)?.name || 'the shared budget';
+    const summary = Object.entries(this.SHARED_CATEGORY_GROUPS)
+      .map(([group, categories]) => `${group}: ${categories.join(', ')}`)
+      .join('; ');
+    const confirmed = await Utils.confirm({
+      title: 'Create Shared Categories',
+      message: `Create these category groups and categories in ${budgetName}? ${summary}. You can rename or delete them in YNAB afterwards.`,
+      confirmText: 'Create',
+      cancelText: 'Cancel'
+    });
+    if (!confirmed) return;
+
+    releaseLock = await TabSync.acquireWriteLock();
+    if (!releaseLock) return;
+
+    let created = 0;
+    try {
+      const groups = (await DataService.getCategoryGroups(budgetId)).filter(g => !g.hidden);
+      const sameName = (a, b) => a.trim().toLowerCase() === b.toLowerCase();
+
+      for (const [groupName, categoryNames] of Object.entries(this.SHARED_CATEGORY_GROUPS)) {
+        const group = groups.find(g => sameName(g.name, groupName));
+        const groupId = group?.id || (await YnabClient.createCategoryGroup(budgetId, groupName)).id;
+        const existing = group?.categories || [];
+        for (const name of categoryNames) {
+          if (existing.some(c => sameName(c.name, name))) continue;
+          await YnabClient.createCategory(budgetId, { name, categoryGroupId: groupId });
+          created++;
+        }
+      }
+      Utils.showToast(`Created ${created} categor${created !== 1 ? 'ies' : 'y'} in ${budgetName}`, 'success');
+    } catch (error) {
+      console.error('Failed to create shared categories:', error);
+      Utils.showToast(`Failed to create categories${created > 0 ? ` (${created} created)` : ''}: ${error.message}`, 'error');
+    }
+
+    // Re-validate against fresh budget details, including after a partial failure
+    try {
+      await DataService.getBudgetDetails(budgetId, { forceRefresh: true });
+      await App.loadBudgetDetails(budgetId);
+      this.updateAllMemberAccountOptions();
+    } catch (error) {
+      console.error('Failed to reload the shared budget:', error);
+    }
+    } finally {
+      this._busy = false;
+      releaseLock?.();
+    }
+  },
+
+  /**
+   * Reload the shared budget's accounts after the user added some in YNAB
+   * Members without an account get the one named after them, if there's exactly one.
+   */
+  async recheckAccounts() {
+    const sharedBudgetId = this.elements.sharedBudgetSelect.value;
+    if (!sharedBudgetId) return;
+
+    try {
+      await DataService.getBudgetDetails(sharedBudgetId, { forceRefresh: true });
+      const details = await App.loadBudgetDetails(sharedBudgetId);
+      this.updateAllMemberAccountOptions();
+
+      const taken = new Set([...this.elements.membersList.querySelectorAll('.member-account')].map(s => s.value).filter(Boolean));
+      const accounts = (details.accounts || []).filter(a => a.on_budget && !a.closed && !taken.has(a.id));
+      let detected = 0;
+
+      this.elements.membersList.querySelectorAll('.member-card').forEach(card => {
+        const select = card.querySelector('.member-account');
+        const name = card.querySelector('.member-name').value.trim().toLowerCase();
+        if (select.value || !name) return;
+
+        const candidates = accounts.filter(a => a.name.toLowerCase().includes(name));
+        if (candidates.length === 1) {
+          select.value = candidates[0].id;
+          detected++;
+          this.renderSetupGuide(card);
+          this.analyzeBinding(card);
+        }
+      });
+
+      if (detected > 0) this.saveMembersConfig();
+      Utils.showToast(detected > 0
+        ? `Found ${detected} contribution account${detected !== 1 ? 's' : ''}`
+        : 'Accounts reloaded', 'success');
+    } catch (error) {
+      Utils.showToast(`Failed to reload accounts: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Compare a bound member's Shared Expenses category with their contribution
+   * account and show how much history is unlinked
+   */
+  async analyzeBinding(card) {
+    const container = card.querySelector('.binding-analysis');
+    const sharedBudgetId = this.elements.sharedBudgetSelect.value;
+    const budgetId = card.querySelector('.member-budget').value;
+    const sharedCategoryId = card.querySelector('.member-shared-category').value;
+    const accountId = card.querySelector('.member-account').value;
+
+    if (!sharedBudgetId || !budgetId || !sharedCategoryId || !accountId) {
+      container.innerHTML = '';
+      return;
+    }
+
+    // Ignore results of an earlier binding if it changed while loading
+    const bindingKey = `${budgetId}:${sharedCategoryId}:${accountId}`;
+    card.dataset.analysisKey = bindingKey;
+    container.innerHTML = '<p class="text-muted binding-analysis-loading">Analyzing existing transactions...</p>';
+
+    try {
+      const [personalTxns, sharedTxns] = await Promise.all([
+        DataService.getTransactions(budgetId, { categoryId: sharedCategoryId }),
+        DataService.getTransactions(sharedBudgetId, { accountId })
+      ]);
+      if (card.dataset.analysisKey !== bindingKey) return;
+
+      const analysis = BindingAnalysis.analyze(personalTxns, sharedTxns, sharedCategoryId);
+      container.innerHTML = this.renderBindingAnalysis(analysis);
+
+      // Matching is expensive, so suggestions are only scored once they're opened
+      const suggestions = container.querySelector('.binding-analysis-suggestions');
+      suggestions?.addEventListener('toggle', () => {
+        const target = suggestions.querySelector('.binding-analysis-suggested');
+        if (!suggestions.open || target.dataset.loaded) return;
+        target.dataset.loaded = 'true';
+        const config = Store.getConfig();
+        target.innerHTML = this.renderSuggestedMatches(BindingAnalysis.suggest(analysis, config.consistencyCutoffDate || null));
+      });
+    } catch (error) {
+      if (card.dataset.analysisKey !== bindingKey) return;
+      console.error('Failed to analyze binding:', error);
+      container.innerHTML = `<p class="text-muted">Couldn't analyze existing transactions: ${Utils.escapeHtml(error.message)}</p>`;
+    }
+  },
+
+  renderBindingAnalysis(analysis) {
+    const LIST_LIMIT = 20;
+    const { personal, shared } = analysis;
+    const money = amount => Utils.formatCurrency(YnabClient.fromMilliunits(amount));
+    const range = side => side.first ? `${side.first} – ${side.last}` : '—';
+    const unmatchedCount = analysis.unmatchedPersonal.length + analysis.unmatchedShared.length;
+
+    const txnRows = (entries) => `
+      ${entries.slice(0, LIST_LIMIT).map(e => `
+        <tr>
+          <td>${e.txn.date}</td>
+          <td>${Utils.escapeHtml(e.txn.payee_name || 'Unknown')}</td>
+          <td class="${e.amount >= 0 ? 'positive' : 'negative'}">${money(e.amount)}</td>
+        </tr>
+      `).join('')}
+      ${entries.length > LIST_LIMIT ? `<tr><td colspan="3" class="text-muted">and ${entries.length - LIST_LIMIT} more</td></tr>` : ''}
+    `;
+
+    const unmatchedList = (title, entries) => entries.length === 0 ? '' : `
+      <details class="binding-analysis-details">
+        <summary>${entries.length} ${title}</summary>
+        <table class="binding-analysis-txns">${txnRows(entries)}</table>
+      </details>
+    `;
+
+    return `
+      <h4>Existing Data</h4>
+      <table class="binding-analysis-table">
+        <thead>
+          <tr><th></th><th>Shared Expenses</th><th>Contribution Account</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>Transactions</td><td>${personal.count}</td><td>${shared.count}</td></tr>
+          <tr><td>Total</td><td>${money(personal.total)}</td><td>${money(shared.total)}</td></tr>
+          <tr><td>Date range</td><td>${range(personal)}</td><td>${range(shared)}</td></tr>
+        </tbody>
+      </table>
+      <p class="binding-analysis-summary ${unmatchedCount === 0 && analysis.amountDiff === 0 ? 'ok' : 'warn'}">
+        ${analysis.linked} linked ·
+        ${analysis.countDiff === 0 ? 'counts match' : `counts differ by ${Math.abs(analysis.countDiff)}`} ·
+        ${analysis.amountDiff === 0 ? 'totals match' : `totals differ by ${money(Math.abs(analysis.amountDiff))}`}
+      </p>
+      ${unmatchedList('unmatched in Shared Expenses', analysis.unmatchedPersonal)}
+      ${unmatchedList('unmatched in the contribution account', analysis.unmatchedShared)}
+      ${analysis.unmatchedPersonal.length > 0 && analysis.unmatchedShared.length > 0 ? `
+        <details class="binding-analysis-details binding-analysis-suggestions">
+          <summary>Suggested matches among recent transactions</summary>
+          <div class="binding-analysis-suggested"></div>
+        </details>
+      ` : ''}
+      ${unmatchedCount > 0 ? '<small>History you don\'t want to clean up can be excluded with the Cutoff Date setting.</small>' : ''}
+    `;
+  },
+
+  renderSuggestedMatches({ sinceDate, pairs }) {
+    const LIST_LIMIT = 20;
+    const money = amount => Utils.formatCurrency(YnabClient.fromMilliunits(amount));
+
+    if (pairs.length === 0) {
+      return `<p class="text-muted">No confident matches since ${sinceDate}.</p>`;
+    }
+    return `
+      <p class="text-muted">${pairs.length} since ${sinceDate}. Auto-link on the Transactions screen can link them.</p>
+      <table class="binding-analysis-txns">
+        ${pairs.slice(0, LIST_LIMIT).map(pair => `
+          <tr>
+            <td>${pair.personal.date} ↔ ${pair.shared.date}</td>
+            <td>${Utils.escapeHtml(pair.personal.payee_name || 'Unknown')}</td>
+            <td>${money(pair.shared.amount)}</td>
+            <td class="text-muted">${Math.round(pair.score * 100)}%</td>
+          </tr>
+        `).join('')}
+        ${pairs.length > LIST_LIMIT ? `<tr><td colspan="4" class="text-muted">and ${pairs.length - LIST_LIMIT} more</td></tr>` : ''}
+      </table>
+    `;
+  },
+
   saveMembersConfig() {
     const cards = this.elements.membersList.querySelectorAll('.member-card');
     const members = [];
@@ -242,6 +702,7 @@ const Setup = {
       const sharedCategoryId = card.querySelector('.member-shared-category').value;
       const balancingCategoryId = card.querySelector('.member-balancing-category').value;
       const contributionAccountId = card.querySelector('.member-account').value;
+      const share = parseFloat(card.querySelector('.member-share').value);
 
       // Validate name
       if (!name) {
@@ -256,19 +717,37 @@ const Setup = {
         budgetId,
         sharedCategoryId,
         balancingCategoryId,
-        contributionAccountId
+        contributionAccountId,
+        contributionShare: share > 0 ? share : null
       });
     });
 
+    // Shares are percentages of one pool; "Equal" members split what's left
+    const setShares = members.filter(m => m.contributionShare);
+    const shareTotal = setShares.reduce((sum, m) => sum + m.contributionShare, 0);
+    const equalCount = members.length - setShares.length;
+    const sharesInvalid = shareTotal > 100 || (equalCount > 0 && shareTotal >= 100);
+    cards.forEach(card => {
+      const shareInput = card.querySelector('.member-share');
+      shareInput.classList.toggle('input-error', sharesInvalid && parseFloat(shareInput.value) > 0);
+    });
+
     // Show or hide validation message
-    this.showValidationMessage(hasEmptyNames && cards.length > 0
-      ? 'Please enter a name for each member before saving.'
-      : null);
+    let validationMessage = null;
+    if (hasEmptyNames && cards.length > 0) {
+      validationMessage = 'Please enter a name for each member before saving.';
+    } else if (shareTotal > 100) {
+      validationMessage = `Contribution shares add up to ${shareTotal}%; they can't exceed 100%.`;
+    } else if (sharesInvalid) {
+      validationMessage = 'Contribution shares already add up to 100%, leaving nothing for members set to Equal.';
+    }
+    this.showValidationMessage(validationMessage);
 
-    if (hasEmptyNames) return;
+    if (hasEmptyNames || sharesInvalid) return;
 
     const wasConfigured = App.isConfigured();
     Store.updateConfig({ members });
+    App.validateConfig();
 
     // Update the setup Done button visibility
     App.updateSetupDoneButton();
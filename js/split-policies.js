@@ -0,0 +1,164 @@
+/**
+ * Split Policies
+ * Turn a household target for the month into each member's allocation.
+ *
+ * Policies (stored in config.splitPolicy):
+ * - manual: amounts are typed per member (no automatic fill)
+ * - equal: the target is split evenly
+ * - percentage: split by each member's Share of Contributions from Settings
+ * - income: split in proportion to each member's declared monthly income
+ * - cover: some members pay a fixed amount, the others cover the rest equally
+ *
+ * The target defaults to what's budgeted across the shared budget's
+ * categories for the month.
+ */
+const SplitPolicies = {
+  TYPES: {
+    manual: 'Manual',
+    equal: 'Equal split',
+    percentage: 'Fixed percentage',
+    income: 'Proportional to income',
+    cover: 'Cover a target total'
+  },
+
+  /**
+   * The household's policy with defaults filled in
+   * @returns {{type: string, incomes: Object, fixedAmounts: Object}}
+   */
+  getPolicy(config) {
+    return {
+      type: 'manual',
+      incomes: {},      // { memberName: monthly income } for 'income'
+      fixedAmounts: {}, // { memberName: amount } for 'cover'; others cover the rest
+      ...config.splitPolicy
+    };
+  },
+
+  /**
+   * Why a policy can't fill allocations for these members, if it can't
+   * @returns {string|null}
+   */
+  validate(policy, members, target) {
+    if (members.length === 0) return 'No members configured';
+
+    switch (policy.type) {
+      case 'income': {
+        const missing = members.filter(m => !(policy.incomes[m.name] > 0));
+        return missing.length > 0
+          ? `Enter a monthly income for ${missing.map(m => m.name).join(', ')}`
+          : null;
+      }
+      case 'cover': {
+        const covering = members.filter(m => !(policy.fixedAmounts[m.name] > 0));
+        const fixedTotal = this._fixedTotal(policy, members);
+        if (covering.length === 0) return 'Leave at least one member without a fixed amount to cover the rest';
+        if (fixedTotal > target) return `Fixed amounts (${Utils.formatCurrency(fixedTotal)}) exceed the target`;
+        return null;
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Each member's allocation for a target under a policy
+   * @param {object} policy - From getPolicy
+   * @param {Array} members - Config members
+   * @param {number} target - Household total in currency units
+   * @returns {Object|null} { memberName: amount }, or null for 'manual' / invalid setups
+   */
+  allocate(policy, members, target) {
+    if (policy.type === 'manual' || this.validate(policy, members, target)) return null;
+
+    if (policy.type === 'cover') {
+      const covering = members.filter(m => !(policy.fixedAmounts[m.name] > 0));
+      const rest = this._distribute(target - this._fixedTotal(policy, members), covering.map(m => [m.name, 1]));
+      const allocations = {};
+      members.forEach(m => {
+        allocations[m.name] = rest[m.name] ?? this._round(policy.fixedAmounts[m.name]);
+      });
+      return allocations;
+    }
+
+    const weights = this.getWeights(policy, members);
+    return this._distribute(target, members.map(m => [m.name, weights[m.name]]));
+  },
+
+  /**
+   * Relative weight of each member for the proportional policies
+   * @returns {Object} { memberName: fraction }
+   */
+  getWeights(policy, members) {
+    switch (policy.type) {
+      case 'percentage':
+        return SettlePlanner.getShares(members);
+      case 'income': {
+        const total = members.reduce((sum, m) => sum + (policy.incomes[m.name] || 0), 0);
+        const weights = {};
+        members.forEach(m => { weights[m.name] = total > 0 ? (policy.incomes[m.name] || 0) / total : 0; });
+        return weights;
+      }
+      default: {
+        const weights = {};
+        members.forEach(m => { weights[m.name] = 1 / members.length; });
+        return weights;
+      }
+    }
+  },
+
+  /**
+   * Short label for the history table, e.g. "Equal", "55/45", "Income 60/40"
+   */
+  describe(policy, members) {
+    const percents = () => members
+      .map(m => Math.round(this.getWeights(policy, members)[m.name] * 100))
+      .join('/');
+
+    switch (policy.type) {
+      case 'equal': return 'Equal';
+      case 'percentage': return percents();
+      case 'income': return `Income ${percents()}`;
+      case 'cover': {
+        const covering = members.filter(m => !(policy.fixedAmounts[m.name] > 0));
+        return `${covering.map(m => m.name).join(' & ')} cover`;
+      }
+      default: return this.TYPES[policy.type] || policy.type;
+    }
+  },
+
+  /**
+   * Total budgeted across the shared budget's categories for a month
+   * @param {Array} categories - MonthDetail categories (milliunits)
+   * @returns {number} Currency units
+   */
+  getSharedTarget(categories) {
+    const budgeted = (categories || [])
+      .filter(c => !c.deleted && !c.hidden)
+      .reduce((sum, c) => sum + (c.budgeted || 0), 0);
+    return YnabClient.fromMilliunits(budgeted);
+  },
+
+  _fixedTotal(policy, members) {
+    return members.reduce((sum, m) => sum + (policy.fixedAmounts[m.name] > 0 ? policy.fixedAmounts[m.name] : 0), 0);
+  },
+
+  _round(amount) {
+    return Math.round(amount * 100) / 100;
+  },
+
+  // Split an amount by weight, rounded to cents; the last member absorbs the rounding
+  _distribute(amount, weightedNames) {
+    const totalWeight = weightedNames.reduce((sum, [, w]) => sum + w, 0);
+    const result = {};
+    let assigned = 0;
+    weightedNames.forEach(([name, weight], i) => {
+      if (i === weightedNames.length - 1) {
+        result[name] = this._round(amount - assigned);
+      } else {
+        result[name] = this._round(totalWeight > 0 ? amount * weight / totalWeight : 0);
+        assigned += result[name];
+      }
+    });
+    return result;
+  }
+};
@@ -21,6 +21,10 @@ const Store = {
     // Raw transactions by budget { budgetId: Transaction[] }
     transactions: {},
 
+    // Budget details by budget { budgetId: { accounts, categories, category_groups, months, ... } }
+    // Kept current by DataService with server_knowledge deltas
+    budgetDetails: {},
+
     // Computed/derived state (recomputed when transactions change)
     linkedPairs: [],
     unlinkedPersonal: {},
@@ -105,20 +109,21 @@ const Store = {
   // ==================
 
   /**
-   * Initialize store from localStorage
+   * Initialize store from localStorage (config) and IndexedDB (transactions)
    * Called once on app startup
    */
-  init() {
+  async init() {
     if (this.state.initialized) return;
 
     // Load config from localStorage
     this.state.config = Storage.getConfig();
 
-    // Load cached transactions from localStorage
-    const txnCache = Storage.getTransactionCache();
+    // Load cached transactions from IndexedDB (moving any old localStorage cache over first)
+    await TxnDb.migrateLegacyCache();
+    const txnCache = await TxnDb.getAllCached();
     Object.entries(txnCache).forEach(([budgetId, cache]) => {
       if (cache.transactions) {
-        this.state.transactions[budgetId] = cache.transactions;
+        this.state.transactions[budgetId] = Outbox.applyPending(budgetId, cache.transactions);
         this.state.lastSync[budgetId] = cache.lastFetch;
       }
     });
@@ -138,10 +143,14 @@ const Store = {
   /**
    * Set configuration
    * @param {object} config - Full config object
+   * @param {boolean} [broadcast=true] - Tell other tabs (false when applying theirs)
    */
-  setConfig(config) {
+  setConfig(config, broadcast = true) {
     this.state.config = config;
-    Storage.setConfig(config);
+    if (broadcast) {
+      Storage.setConfig(config);
+      TabSync.broadcast('setConfig', { config });
+    }
     this._notify('config');
 
     // Recompute derived state as it depends on config
@@ -155,6 +164,7 @@ const Store = {
   updateConfig(updates) {
     this.state.config = { ...this.state.config, ...updates };
     Storage.setConfig(this.state.config);
+    TabSync.broadcast('setConfig', { config: this.state.config });
     this._notify('config');
 
     // Recompute derived state as it depends on config
@@ -178,12 +188,26 @@ const Store = {
     this._recomputeDerivedState();
   },
 
+  /**
+   * Set budget details for a budget
+   * Called by DataService after a full fetch or delta merge
+   * @param {string} budgetId - Budget ID
+   * @param {object} budget - Budget details (accounts, categories, months...)
+   */
+  setBudgetDetails(budgetId, budget) {
+    this.state.budgetDetails[budgetId] = budget;
+    this._notify(`budgetDetails.${budgetId}`);
+  },
+
   /**
    * Update a single transaction (after API mutation)
    * @param {string} budgetId - Budget ID
    * @param {object} transaction - Updated transaction
+   * @param {boolean} [broadcast=true] - Tell other tabs (false when applying theirs)
    */
-  updateTransaction(budgetId, transaction) {
+  updateTransaction(budgetId, transaction, broadcast = true) {
+    if (broadcast) TabSync.broadcast('updateTransaction', { budgetId, transaction });
+
     const txns = this.state.transactions[budgetId];
     if (!txns) return;
 
@@ -202,8 +226,11 @@ const Store = {
    * Remove a transaction (after API deletion)
    * @param {string} budgetId - Budget ID
    * @param {string} transactionId - Transaction ID to remove
+   * @param {boolean} [broadcast=true] - Tell other tabs (false when applying theirs)
    */
-  removeTransaction(budgetId, transactionId) {
+  removeTransaction(budgetId, transactionId, broadcast = true) {
+    if (broadcast) TabSync.broadcast('removeTransaction', { budgetId, transactionId });
+
     const txns = this.state.transactions[budgetId];
     if (!txns) return;
 
@@ -284,7 +311,10 @@ const Store = {
       [...sharedCategoryTxns, ...balancingCategoryTxns].forEach(txn => {
         if (!seenIds.has(txn.id)) {
           seenIds.add(txn.id);
-          personalTxns.push(txn);
+          // Partially-shared splits: only the shared/balancing lines count
+          personalTxns.push(TxnTypes.isSplit(txn)
+            ? { ...txn, sharedAmount: this._getMemberCategoryAmount(txn, member) }
+            : txn);
         }
       });
 
@@ -338,7 +368,7 @@ const Store = {
       monthlyInfo: LinkUtils.parseMonthlyId(id),
       personal: group.personal,
       shared: group.shared,
-      isComplete: this._isLinkComplete(id, group, config.members.length)
+      isComplete: this._isLinkComplete(id, group)
     }));
 
     // Sort by date (most recent first)
@@ -375,19 +405,32 @@ const Store = {
     this._notify('linkedShared');
   },
 
+  /**
+   * Amount of a personal transaction in the member's shared + balancing categories
+   */
+  _getMemberCategoryAmount(txn, member) {
+    let amount = TxnTypes.getCategoryAmount(txn, member.sharedCategoryId);
+    if (member.balancingCategoryId) {
+      amount += TxnTypes.getCategoryAmount(txn, member.balancingCategoryId);
+    }
+    return amount;
+  },
+
   /**
    * Check if a link is complete
    */
-  _isLinkComplete(id, group, memberCount) {
+  _isLinkComplete(id, group) {
     if (LinkUtils.isBalancingId(id)) {
-      const personalCount = Object.values(group.personal).flat().length;
-      return personalCount === memberCount && group.shared.length === memberCount;
+      return LinkUtils.isBalancingComplete(group);
     } else if (LinkUtils.isMonthlyId(id)) {
       return group.shared.length >= 1;
     } else {
       const hasPersonal = Object.values(group.personal).flat().length >= 1;
       const hasShared = group.shared.length >= 1;
-      return hasPersonal && hasShared;
+      // Split transactions must be internally consistent
+      const splitsConsistent = [...Object.values(group.personal).flat(), ...group.shared]
+        .every(t => TxnTypes.getSplitIssues(t, id).length === 0);
+      return hasPersonal && hasShared && splitsConsistent;
     }
   },
 
@@ -446,7 +489,7 @@ const Store = {
         member.budgetId,
         { categoryId: member.sharedCategoryId }
       );
-      const personalTotal = personalTxns.reduce((sum, t) => sum + t.amount, 0);
+      const personalTotal = personalTxns.reduce((sum, t) => sum + TxnTypes.getCategoryAmount(t, member.sharedCategoryId), 0);
 
       // Sum shared budget transactions for this member
       const sharedTxns = this._getFilteredTransactions(
@@ -476,7 +519,7 @@ const Store = {
       txns = txns.filter(t => t.account_id === options.accountId);
     }
     if (options.categoryId) {
-      txns = txns.filter(t => t.category_id === options.categoryId);
+      txns = txns.filter(t => TxnTypes.matchesCategory(t, options.categoryId));
     }
     if (options.sinceDate) {
       txns = txns.filter(t => t.date >= options.sinceDate);
@@ -509,6 +552,21 @@ const Store = {
     return this._getFilteredTransactions(budgetId, options);
   },
 
+  /**
+   * Get budget details for a budget (null until DataService has loaded them)
+   */
+  getBudgetDetails(budgetId) {
+    return this.state.budgetDetails[budgetId] || null;
+  },
+
+  /**
+   * Get member balances computed from the loaded transactions
+   * @returns {Object} { memberName: { personal, shared, net } } in milliunits
+   */
+  getBalances() {
+    return this.state.balances;
+  },
+
   /**
    * Check if budget has transactions loaded
    */
@@ -0,0 +1,106 @@
+/**
+ * Tab Sync Module
+ * Keeps several open tabs of the app consistent:
+ * - Store mutations are broadcast over a BroadcastChannel and applied in the
+ *   other tabs, so a link made in one tab shows up in the rest
+ * - A Web Locks API lock lets only one tab write to YNAB at a time
+ * Both fall back to single-tab behaviour where the browser lacks the API.
+ */
+const TabSync = {
+  CHANNEL_NAME: 'ynab-couple-budget',
+  WRITE_LOCK: 'ynab-couple-budget-writes',
+
+  _channel: null,
+  _heldHere: 0, // Write locks this tab holds or has been granted
+
+  init() {
+    if (this._channel || typeof BroadcastChannel === 'undefined') return;
+    this._channel = new BroadcastChannel(this.CHANNEL_NAME);
+    this._channel.onmessage = (event) => this._apply(event.data || {});
+  },
+
+  /**
+   * Tell the other tabs about a Store mutation
+   * @param {string} type - 'updateTransaction' | 'removeTransaction' | 'setConfig'
+   * @param {object} payload
+   */
+  broadcast(type, payload) {
+    this._channel?.postMessage({ type, payload });
+  },
+
+  /**
+   * Apply a mutation broadcast by another tab (without re-broadcasting it)
+   * The memory cache is dropped so the next read merges from IndexedDB
+   * instead of overwriting Store with this tab's older copy.
+   */
+  _apply({ type, payload }) {
+    switch (type) {
+      case 'updateTransaction':
+        Store.updateTransaction(payload.budgetId, payload.transaction, false);
+        DataService.invalidateBudgetCache(payload.budgetId);
+        break;
+      case 'removeTransaction':
+        Store.removeTransaction(payload.budgetId, payload.transactionId, false);
+        DataService.invalidateBudgetCache(payload.budgetId);
+        break;
+      case 'setConfig':
+        Store.setConfig(payload.config, false);
+        break;
+      default:
+        console.warn('[TabSync] Unknown message:', type);
+    }
+  },
+
+  // ==================
+  // Write lock
+  // ==================
+
+  /**
+   * Take the cross-tab write lock if no other tab holds it
+   * If this tab already holds it (an Outbox replay, or a write from another
+   * screen), waits for that to finish instead. Take it after the user has
+   * confirmed, so an open dialog doesn't block other tabs.
+   * Shows a toast when another tab has it, unless `silent`.
+   * @returns {Promise<Function|null>} Call to release, or null if another tab is writing
+   */
+  async acquireWriteLock({ silent = false } = {}) {
+    if (!navigator.locks) return () => {};
+
+    const heldHere = this._heldHere > 0;
+    const release = await new Promise(resolve => {
+      navigator.locks.request(this.WRITE_LOCK, { ifAvailable: !heldHere }, lock => {
+        if (!lock) {
+          resolve(null);
+          return null;
+        }
+        // Held until the caller releases it
+        this._heldHere++;
+        return new Promise(done => resolve(() => {
+          this._heldHere--;
+          done();
+        }));
+      });
+    });
+
+    if (!release && !silent) {
+      Utils.showToast('Another tab is writing to YNAB. Try again once it finishes.', 'warning');
+    }
+    return release;
+  },
+
+  /**
+   * Run `fn` while holding the write lock, waiting for other tabs to finish first
+   * @returns {Promise<*>} Whatever `fn` returns
+   */
+  withWriteLock(fn) {
+    if (!navigator.locks) return fn();
+    return navigator.locks.request(this.WRITE_LOCK, async () => {
+      this._heldHere++;
+      try {
+        return await fn();
+      } finally {
+        this._heldHere--;
+      }
+    });
+  }
+};
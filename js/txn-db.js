@@ -0,0 +1,402 @@
+/**
+ * Transaction Database
+ * IndexedDB-backed transaction cache with delta sync support
+ *
+ * Each budget gets its own object store (`txns_<budgetId>`) keyed by
+ * transaction ID and read whole (the Store does the filtering). A shared
+ * `meta` store keeps { budgetId, serverKnowledge, sinceDate, lastFetch } per budget.
+ * Delta merges write only the changed rows, so years of history for several
+ * budgets fit without re-serializing everything.
+ *
+ * A `budgets` store holds each budget's details (accounts, categories,
+ * months) as last merged by DataService, keyed by budgetId.
+ *
+ * Object stores can only be created during a version upgrade, so the first
+ * write for a new budget reopens the database at the next version.
+ */
+const TxnDb = {
+  DB_NAME: 'ynab-couple-budget',
+  META_STORE: 'meta',
+  BUDGET_STORE: 'budgets',
+
+  // Essential transaction fields to cache
+  TRANSACTION_FIELDS: ['id', 'date', 'amount', 'payee_name', 'memo', 'account_id', 'category_id', 'category_name', 'deleted', 'cleared', 'subtransactions'],
+
+  // Essential fields kept for each subtransaction of a split
+  SUBTRANSACTION_FIELDS: ['id', 'amount', 'memo', 'category_id', 'category_name', 'deleted'],
+
+  // Promise for the open database; chained so upgrades never overlap
+  _dbPromise: null,
+
+  storeName(budgetId) {
+    return `txns_${budgetId}`;
+  },
+
+  // ==================
+  // Database plumbing
+  // ==================
+
+  /**
+   * Open the database, creating a budget's transaction store if asked
+   * @param {number} [version] - Omit to open the current version
+   * @param {string} [storeName] - Store that should exist after opening
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open(version, storeName = null) {
+    return new Promise((resolve, reject) => {
+      const request = version ? indexedDB.open(this.DB_NAME, version) : indexedDB.open(this.DB_NAME);
+      let blocked = false;
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.META_STORE)) {
+          db.createObjectStore(this.META_STORE, { keyPath: 'budgetId' });
+        }
+        if (!db.objectStoreNames.contains(this.BUDGET_STORE)) {
+          db.createObjectStore(this.BUDGET_STORE, { keyPath: 'budgetId' });
+        }
+        if (storeName && !db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+        // Stores from older versions carried indexes nothing queries
+        Array.from(db.objectStoreNames).filter(name => name.startsWith('txns_')).forEach(name => {
+          const store = request.transaction.objectStore(name);
+          Array.from(store.indexNames).forEach(index => store.deleteIndex(index));
+        });
+      };
+
+      // A tab that doesn't close on versionchange holds the old version open.
+      // Fail this write instead of waiting; the upgrade still runs once that
+      // tab lets go, and the next call picks it up.
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('IndexedDB upgrade blocked by another tab'));
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Another tab is upgrading (new store) - close so it isn't blocked
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        // Closed by the browser (storage cleared, disk error) - reopen next time
+        db.onclose = () => {
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Get the open database, upgrading it first if `storeName` doesn't exist yet
+   * Callers start their transaction as soon as this resolves, so the old
+   * connection closed for an upgrade has no transaction left to start; close()
+   * lets the ones already running finish first.
+   * @param {string} [storeName]
+   * @returns {Promise<IDBDatabase>}
+   */
+  _getDb(storeName = null) {
+    this._dbPromise = (this._dbPromise || this._open())
+      .then(db => {
+        if (!storeName || db.objectStoreNames.contains(storeName)) return db;
+        db.close();
+        return this._open(db.version + 1, storeName).catch(error => {
+          if (error?.name !== 'VersionError') throw error;
+          // Another tab upgraded first - reopen at its version and check again
+          this._dbPromise = null;
+          return this._getDb(storeName);
+        });
+      })
+      .catch(error => {
+        this._dbPromise = null;
+        throw error;
+      });
+    return this._dbPromise;
+  },
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  _complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  },
+
+  /**
+   * Strip a transaction (and its split lines) to the fields we cache
+   */
+  toMinimalTransaction(t) {
+    const minimal = {};
+    this.TRANSACTION_FIELDS.forEach(field => {
+      if (t[field] !== undefined) {
+        minimal[field] = t[field];
+      }
+    });
+    // Only keep subtransactions for splits, and only their essential fields
+    if (minimal.subtransactions?.length) {
+      minimal.subtransactions = minimal.subtransactions.map(sub => {
+        const minimalSub = {};
+        this.SUBTRANSACTION_FIELDS.forEach(field => {
+          if (sub[field] !== undefined) {
+            minimalSub[field] = sub[field];
+          }
+        });
+        return minimalSub;
+      });
+    } else {
+      delete minimal.subtransactions;
+    }
+    return minimal;
+  },
+
+  // ==================
+  // Reading
+  // ==================
+
+  /**
+   * Get cache metadata for a budget
+   * @returns {Promise<{budgetId, serverKnowledge, sinceDate, lastFetch}|null>}
+   */
+  async getMeta(budgetId) {
+    const db = await this._getDb();
+    if (!db.objectStoreNames.contains(this.META_STORE)) return null;
+    const tx = db.transaction(this.META_STORE, 'readonly');
+    return (await this._request(tx.objectStore(this.META_STORE).get(budgetId))) || null;
+  },
+
+  /**
+   * Get cached transactions for a budget
+   * Returns null if cache is stale or doesn't exist
+   * @returns {Promise<{transactions, serverKnowledge, sinceDate, lastFetch}|null>}
+   */
+  async getCachedTransactions(budgetId, maxAge = 10 * 60 * 1000) {
+    try {
+      const db = await this._getDb();
+      const storeName = this.storeName(budgetId);
+      if (!db.objectStoreNames.contains(storeName)) return null;
+
+      const tx = db.transaction([storeName, this.META_STORE], 'readonly');
+      const meta = await this._request(tx.objectStore(this.META_STORE).get(budgetId));
+      if (!meta || Date.now() - meta.lastFetch > maxAge) return null;
+
+      const transactions = await this._request(tx.objectStore(storeName).getAll());
+      return {
+        transactions,
+        serverKnowledge: meta.serverKnowledge,
+        sinceDate: meta.sinceDate,
+        lastFetch: meta.lastFetch
+      };
+    } catch (e) {
+      console.error('TxnDb.getCachedTransactions error:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Get every cached budget (used to hydrate the Store on startup)
+   * @returns {Promise<Object>} { budgetId: { transactions, lastFetch } }
+   */
+  async getAllCached() {
+    try {
+      const db = await this._getDb();
+      if (!db.objectStoreNames.contains(this.META_STORE)) return {};
+
+      const metas = await this._request(
+        db.transaction(this.META_STORE, 'readonly').objectStore(this.META_STORE).getAll()
+      );
+
+      const result = {};
+      for (const meta of metas) {
+        const cached = await this.getCachedTransactions(meta.budgetId, Infinity);
+        if (cached) {
+          result[meta.budgetId] = { transactions: cached.transactions, lastFetch: cached.lastFetch };
+        }
+      }
+      return result;
+    } catch (e) {
+      console.error('TxnDb.getAllCached error:', e);
+      return {};
+    }
+  },
+
+  // ==================
+  // Writing
+  // ==================
+
+  /**
+   * Replace cached transactions for a budget
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async setCachedTransactions(budgetId, transactions, serverKnowledge, sinceDate) {
+    try {
+      const db = await this._getDb(this.storeName(budgetId));
+      const storeName = this.storeName(budgetId);
+      const tx = db.transaction([storeName, this.META_STORE], 'readwrite');
+      const store = tx.objectStore(storeName);
+
+      store.clear();
+      transactions.forEach(t => {
+        if (!t.deleted) store.put(this.toMinimalTransaction(t));
+      });
+      tx.objectStore(this.META_STORE).put({ budgetId, serverKnowledge, sinceDate, lastFetch: Date.now() });
+
+      await this._complete(tx);
+      return true;
+    } catch (e) {
+      console.error('TxnDb.setCachedTransactions error:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Merge a delta (new/changed/deleted transactions) into the cache
+   * Only the changed rows are written.
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async updateCachedTransactions(budgetId, deltaTransactions, newServerKnowledge) {
+    const meta = await this.getMeta(budgetId).catch(() => null);
+    if (!meta) {
+      // No existing cache, just set the new transactions
+      return this.setCachedTransactions(budgetId, deltaTransactions, newServerKnowledge, null);
+    }
+
+    try {
+      const db = await this._getDb(this.storeName(budgetId));
+      const storeName = this.storeName(budgetId);
+      const tx = db.transaction([storeName, this.META_STORE], 'readwrite');
+      const store = tx.objectStore(storeName);
+
+      deltaTransactions.forEach(t => {
+        if (t.deleted) {
+          store.delete(t.id);
+        } else {
+          store.put(this.toMinimalTransaction(t));
+        }
+      });
+      tx.objectStore(this.META_STORE).put({ ...meta, serverKnowledge: newServerKnowledge, lastFetch: Date.now() });
+
+      await this._complete(tx);
+      return true;
+    } catch (e) {
+      console.error('TxnDb.updateCachedTransactions error:', e);
+      return false;
+    }
+  },
+
+  // ==================
+  // Budget details
+  // ==================
+
+  /**
+   * Get a budget's cached details
+   * @returns {Promise<{budgetId, budget, serverKnowledge, lastFetch}|null>}
+   */
+  async getBudgetDetails(budgetId) {
+    try {
+      const db = await this._getDb();
+      if (!db.objectStoreNames.contains(this.BUDGET_STORE)) return null;
+      const tx = db.transaction(this.BUDGET_STORE, 'readonly');
+      return (await this._request(tx.objectStore(this.BUDGET_STORE).get(budgetId))) || null;
+    } catch (e) {
+      console.error('TxnDb.getBudgetDetails error:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Save a budget's details with the server knowledge they reflect
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async setBudgetDetails(budgetId, budget, serverKnowledge) {
+    try {
+      const db = await this._getDb(this.BUDGET_STORE);
+      const tx = db.transaction(this.BUDGET_STORE, 'readwrite');
+      tx.objectStore(this.BUDGET_STORE).put({ budgetId, budget, serverKnowledge, lastFetch: Date.now() });
+      await this._complete(tx);
+      return true;
+    } catch (e) {
+      console.error('TxnDb.setBudgetDetails error:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Clear cached transactions and details for a specific budget
+   */
+  async clearBudget(budgetId) {
+    try {
+      const db = await this._getDb();
+      const storeNames = [this.storeName(budgetId), this.META_STORE, this.BUDGET_STORE]
+        .filter(name => db.objectStoreNames.contains(name));
+      if (storeNames.length === 0) return true;
+
+      const tx = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(name => {
+        if (name === this.storeName(budgetId)) {
+          tx.objectStore(name).clear();
+        } else {
+          tx.objectStore(name).delete(budgetId);
+        }
+      });
+      await this._complete(tx);
+      return true;
+    } catch (e) {
+      console.error('TxnDb.clearBudget error:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Delete the whole database
+   */
+  async clearAll() {
+    if (this._dbPromise) {
+      const db = await this._dbPromise.catch(() => null);
+      db?.close();
+      this._dbPromise = null;
+    }
+    try {
+      await this._request(indexedDB.deleteDatabase(this.DB_NAME));
+      return true;
+    } catch (e) {
+      console.error('TxnDb.clearAll error:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Move a transaction cache left in localStorage by older versions into
+   * IndexedDB, then drop it (and their budget/month caches) to free the quota
+   */
+  async migrateLegacyCache() {
+    const legacy = Storage.get(Storage.KEYS.LEGACY_TRANSACTIONS);
+    if (legacy) {
+      for (const [budgetId, cache] of Object.entries(legacy)) {
+        if (!cache?.transactions) continue;
+        await this.setCachedTransactions(budgetId, cache.transactions, cache.serverKnowledge, cache.sinceDate);
+      }
+      console.log(`[TxnDb] Migrated ${Object.keys(legacy).length} budget cache(s) from localStorage`);
+    }
+    Storage.dropLegacyCaches();
+  }
+};
+
+// Clear transaction cache command
+window.clearTransactionCache = async () => {
+  await TxnDb.clearAll();
+  console.log('Transaction cache cleared. Refresh the page to reload data.');
+};
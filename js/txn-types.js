@@ -48,16 +48,75 @@ const TxnTypes = {
   // --- Link classification (delegates to LinkUtils) ---
 
   isLinked(txn) {
-    return LinkUtils.hasId(txn.memo);
+    return !!this.getLinkId(txn);
   },
 
   getLinkType(txn) {
-    const id = LinkUtils.extractId(txn.memo);
-    return LinkUtils.getIdType(id);
+    return LinkUtils.getIdType(this.getLinkId(txn));
   },
 
+  // Parent memo wins; splits tagged only on their lines are linked too
   getLinkId(txn) {
-    return LinkUtils.extractId(txn.memo);
+    const id = LinkUtils.extractId(txn.memo);
+    if (id) return id;
+    for (const sub of this.getSubtransactions(txn)) {
+      const subId = LinkUtils.extractId(sub.memo);
+      if (subId) return subId;
+    }
+    return null;
+  },
+
+  // --- Split transactions ---
+
+  getSubtransactions(txn) {
+    return (txn.subtransactions || []).filter(sub => !sub.deleted);
+  },
+
+  isSplit(txn) {
+    return this.getSubtransactions(txn).length > 0;
+  },
+
+  matchesCategory(txn, categoryId) {
+    return txn.category_id === categoryId ||
+      this.getSubtransactions(txn).some(sub => sub.category_id === categoryId);
+  },
+
+  // Amount that falls in a category: the whole transaction or its matching split lines
+  getCategoryAmount(txn, categoryId) {
+    if (txn.category_id === categoryId) return txn.amount;
+    return this.getSubtransactions(txn)
+      .filter(sub => sub.category_id === categoryId)
+      .reduce((sum, sub) => sum + sub.amount, 0);
+  },
+
+  // Shared portion of a personal transaction (Store sets sharedAmount on splits)
+  getSharedAmount(txn) {
+    return txn.sharedAmount ?? txn.amount;
+  },
+
+  isPartiallyShared(txn) {
+    return txn.sharedAmount !== undefined && txn.sharedAmount !== txn.amount;
+  },
+
+  /**
+   * Problems that make a linked split inconsistent
+   * Lines must add up to the parent amount and must not carry a different link ID.
+   * @returns {string[]} Empty when the split is consistent (or not a split)
+   */
+  getSplitIssues(txn, linkId) {
+    const subs = this.getSubtransactions(txn);
+    if (subs.length === 0) return [];
+
+    const issues = [];
+    const total = subs.reduce((sum, sub) => sum + sub.amount, 0);
+    if (total !== txn.amount) issues.push('split lines don\'t add up');
+
+    const foreignIds = subs
+      .map(sub => LinkUtils.extractId(sub.memo))
+      .filter(id => id && id !== linkId);
+    if (foreignIds.length > 0) issues.push('split line has another ID');
+
+    return issues;
   },
 
   // --- Filtering helpers ---
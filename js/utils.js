@@ -144,6 +144,31 @@ const LinkUtils = {
     if (this.isBalancingId(id)) return 'balancing';
     if (this.isMonthlyId(id)) return 'monthly';
     return 'regular';
+  },
+
+  /**
+   * Members taking part in a settle-up group (personal or shared side)
+   * @param {{personal: Object, shared: Array}} group - Linked group
+   * @returns {string[]} Member names
+   */
+  getBalancingParties(group) {
+    const names = new Set(Object.keys(group.personal).filter(name => group.personal[name].length > 0));
+    group.shared.forEach(t => names.add(t.memberName));
+    return [...names];
+  },
+
+  /**
+   * A settle-up is always between two members, however many share the
+   * budget: each has one personal and one shared transaction
+   * @param {{personal: Object, shared: Array}} group - Linked group
+   * @returns {boolean}
+   */
+  isBalancingComplete(group) {
+    const parties = this.getBalancingParties(group);
+    return parties.length === 2 && parties.every(name =>
+      group.personal[name]?.length === 1 &&
+      group.shared.filter(t => t.memberName === name).length === 1
+    );
   }
 };
 
@@ -163,12 +188,24 @@ const Utils = {
 
   /**
    * Escape HTML to prevent XSS
+   * Quotes are escaped too, so the result is safe inside attribute values.
    */
   escapeHtml(text) {
     if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Quote a value as a JS string literal for an inline handler attribute
+   * onclick="fn(${Utils.escapeJsString(name)})" works for any name, quotes included.
+   */
+  escapeJsString(text) {
+    return this.escapeHtml(JSON.stringify(String(text ?? '')));
   },
 
   /**
@@ -194,13 +231,25 @@ const Utils = {
    * @param {string} message - The message to display
    * @param {string} type - Toast type: 'info', 'success', 'error', 'warning'
    * @param {number} duration - Duration in ms before auto-dismiss (default: 4000)
+   * @param {{label: string, onClick: Function}} [action] - Optional button; clicking it dismisses the toast
    */
-  showToast(message, type = 'info', duration = 4000) {
+  showToast(message, type = 'info', duration = 4000, action = null) {
     const container = document.getElementById('toast-container');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
 
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
+
     container.appendChild(toast);
 
     setTimeout(() => {
@@ -0,0 +1,174 @@
+/**
+ * Write Journal Module
+ * Records each successful YNAB mutation in a multi-step flow so a failure
+ * part-way through can be undone in reverse order.
+ *
+ * Usage:
+ *   const journal = WriteJournal.start('Settle-up');
+ *   try {
+ *     await WriteJournal.updateCategoryBudget(journal, ...);
+ *     await WriteJournal.createTransactionsByBudget(journal, [...]);
+ *   } catch (error) {
+ *     await WriteJournal.offerRollback(journal, error);
+ *   }
+ */
+const WriteJournal = {
+  /**
+   * Start a new journal for one user action
+   * Its writes are tagged with the journal's ID, so if they're queued offline
+   * the Outbox can keep the set together on replay.
+   * @param {string} label - Shown in the rollback dialog (e.g. "Settle-up")
+   */
+  start(label) {
+    return { id: `journal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, label, entries: [] };
+  },
+
+  _group(journal) {
+    return { group: { id: journal.id, label: journal.label } };
+  },
+
+  // ==================
+  // Recording writes
+  // ==================
+
+  /**
+   * Create transactions (one bulk request per budget), recording each budget's
+   * created IDs as soon as its request succeeds
+   * @param {object} journal
+   * @param {Array<{budgetId: string, transaction: object}>} entries
+   * @returns {Promise<Object>} Created transactions keyed by budget ID
+   */
+  async createTransactionsByBudget(journal, entries) {
+    const created = {};
+    for (const [budgetId, transactions] of YnabClient.groupByBudget(entries)) {
+      const result = await YnabClient.createTransactions(budgetId, transactions, this._group(journal));
+      created[budgetId] = result.transactions;
+      journal.entries.push({
+        type: 'create',
+        budgetId,
+        transactionIds: result.transactions.map(t => t.id),
+        description: `Created ${result.transactions.length} transaction${result.transactions.length !== 1 ? 's' : ''}`
+      });
+    }
+    return created;
+  },
+
+  /**
+   * Update transactions (one bulk request per budget)
+   * Each entry carries `previous`: the fields (with id) to write back on undo.
+   * @param {object} journal
+   * @param {Array<{budgetId: string, transaction: object, previous: object}>} entries
+   * @returns {Promise<Object>} Updated transactions keyed by budget ID
+   */
+  async updateTransactionsByBudget(journal, entries) {
+    const updated = {};
+    // Grouped the same way, so each budget's `previous` lines up with its transactions
+    const previousByBudget = YnabClient.groupByBudget(
+      entries.map(({ budgetId, previous }) => ({ budgetId, transaction: previous }))
+    );
+    for (const [budgetId, transactions] of YnabClient.groupByBudget(entries)) {
+      updated[budgetId] = await YnabClient.updateTransactions(budgetId, transactions, this._group(journal));
+      journal.entries.push({
+        type: 'update',
+        budgetId,
+        previous: previousByBudget.get(budgetId),
+        description: `Updated ${transactions.length} transaction${transactions.length !== 1 ? 's' : ''}`
+      });
+    }
+    return updated;
+  },
+
+  /**
+   * Set a category's budgeted amount, remembering the previous value
+   * @param {number} previousBudgeted - Milliunits to restore on undo
+   */
+  async updateCategoryBudget(journal, budgetId, month, categoryId, budgeted, previousBudgeted) {
+    const result = await YnabClient.updateCategoryBudget(budgetId, month, categoryId, budgeted, this._group(journal));
+    journal.entries.push({
+      type: 'budget',
+      budgetId,
+      month,
+      categoryId,
+      previousBudgeted,
+      description: `Set ${result?.name || 'category'} budget to ${Utils.formatCurrency(YnabClient.fromMilliunits(budgeted))}`
+    });
+    return result;
+  },
+
+  // ==================
+  // Rollback
+  // ==================
+
+  /**
+   * Undo every recorded write in reverse order
+   * Keeps going past failures so as much as possible is restored.
+   * @returns {Promise<{undone: Array, failed: Array<{entry, error}>}>}
+   */
+  async rollback(journal) {
+    const undone = [];
+    const failed = [];
+
+    for (const entry of [...journal.entries].reverse()) {
+      try {
+        if (entry.type === 'create') {
+          for (const id of entry.transactionIds) {
+            await YnabClient.deleteTransaction(entry.budgetId, id);
+          }
+        } else if (entry.type === 'update') {
+          await YnabClient.updateTransactions(entry.budgetId, entry.previous);
+        } else if (entry.type === 'budget') {
+          await YnabClient.updateCategoryBudget(entry.budgetId, entry.month, entry.categoryId, entry.previousBudgeted);
+        }
+        undone.push(entry);
+      } catch (error) {
+        console.error('[WriteJournal] Failed to undo:', entry, error);
+        failed.push({ entry, error });
+      }
+    }
+
+    journal.entries = failed.map(f => f.entry).reverse();
+    return { undone, failed };
+  },
+
+  /**
+   * After a failed flow, show what was already written and offer to undo it
+   * @returns {Promise<boolean>} True if the user chose to undo and it fully succeeded
+   */
+  async offerRollback(journal, error) {
+    if (journal.entries.length === 0) return false;
+
+    const items = journal.entries.map(entry => `
+      <div class="confirm-detail-item">
+        <span class="detail-label">${Utils.escapeHtml(this.getBudgetName(entry.budgetId))}</span>
+        <span class="detail-value">${Utils.escapeHtml(entry.description)}</span>
+      </div>
+    `).join('');
+
+    const confirmed = await Utils.confirm({
+      title: `${journal.label} Incomplete`,
+      html: `
+        <p>${Utils.escapeHtml(error?.message || 'A write failed.')}</p>
+        <p>These changes were already written to YNAB:</p>
+        <div class="confirm-detail-list">${items}</div>
+        <p>Undo them to get back to where you started?</p>
+      `,
+      confirmText: 'Undo Changes',
+      cancelText: 'Keep',
+      danger: true
+    });
+
+    if (!confirmed) return false;
+
+    const { undone, failed } = await this.rollback(journal);
+    if (failed.length === 0) {
+      Utils.showToast(`Undid ${undone.length} change${undone.length !== 1 ? 's' : ''}`, 'success');
+      return true;
+    }
+    Utils.showToast(`Undid ${undone.length} change${undone.length !== 1 ? 's' : ''}, ${failed.length} could not be undone — check YNAB`, 'error', 8000);
+    return false;
+  },
+
+  getBudgetName(budgetId) {
+    return App.state.budgets?.find(b => b.id === budgetId)?.name || 'Budget';
+  }
+};
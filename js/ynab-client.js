@@ -20,15 +20,69 @@ const YnabClient = {
     return !!this.apiKey;
   },
 
+  // Rate limiting: YNAB allows 200 requests per rolling hour per token
+  RATE_LIMIT: 200,
+  RATE_WINDOW_MS: 60 * 60 * 1000,
+  MIN_SPACING_MS: 150,       // Minimum gap between request starts
+  MAX_RETRIES: 3,            // Retries for idempotent GETs
+  RETRY_BASE_DELAY_MS: 1000, // Doubles on each retry
+  MAX_RETRY_AFTER_MS: 60 * 1000, // Longer 429 Retry-After waits fail instead
+  MAX_QUOTA_WAIT_MS: 60 * 1000,  // Longer waits for the hourly quota fail instead
+
+  _requestLog: null,         // Start times of requests in the current window (persisted)
+  _lastRequestAt: 0,
+  _waitingUntil: null,       // Set while requests wait for the hourly quota
+  _slotChain: Promise.resolve(),
+  _quotaListeners: new Set(),
+
   /**
    * Make an authenticated request to YNAB API
    * Returns the full response data (including server_knowledge)
+   * Requests are spaced and counted against the hourly quota (waiting up to
+   * MAX_QUOTA_WAIT_MS for it to free up, else failing with status 429); GETs are retried with exponential backoff on
+   * 5xx and network errors, and after Retry-After on a short 429.
+   * Writes made while offline (or behind earlier queued writes) go to the
+   * Outbox and resolve with an optimistic response; pass `queue: false` to
+   * send regardless.
    */
   async request(endpoint, options = {}) {
     if (!this.apiKey) {
       throw new Error('API key not configured');
     }
 
+    const isIdempotent = !options.method || options.method === 'GET';
+    const maxAttempts = isIdempotent ? this.MAX_RETRIES + 1 : 1;
+    const queueable = !isIdempotent && options.queue !== false;
+
+    if (queueable && Outbox.shouldQueue()) {
+      return Outbox.enqueue(endpoint, options);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      await this._acquireSlot();
+      try {
+        const data = await this._send(endpoint, options);
+        Outbox.setOffline(false);
+        return data;
+      } catch (error) {
+        if (error.status === 0) {
+          Outbox.setOffline(true);
+          // The request may have reached YNAB before the connection dropped
+          if (queueable) return Outbox.enqueue(endpoint, options, { maybeSent: true });
+        }
+        if (!error.retryable || attempt >= maxAttempts) throw error;
+        const delay = error.retryAfterMs ?? this.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+        console.warn(`[YnabClient] ${error.message} — retrying ${endpoint} in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  },
+
+  /**
+   * Send a single request (no queueing or retry)
+   * Errors carry `status` and `retryable` for the retry loop in request()
+   */
+  async _send(endpoint, options) {
     const url = `${this.BASE_URL}${endpoint}`;
     const headers = {
       'Authorization': `Bearer ${this.apiKey}`,
@@ -36,37 +90,178 @@ const YnabClient = {
       ...options.headers
     };
 
+    const fail = (message, status, retryable) => {
+      const error = new Error(message);
+      error.status = status;
+      error.retryable = retryable;
+      return error;
+    };
+
+    let response;
     try {
-      const response = await fetch(url, {
+      response = await fetch(url, {
         ...options,
         headers
       });
-
-      if (response.status === 401) {
-        throw new Error('Invalid API key');
+    } catch (error) {
+      if (error.name === 'TypeError') {
+        throw fail('Network error. Please check your connection.', 0, true);
       }
+      throw error;
+    }
 
-      if (response.status === 404) {
-        throw new Error('Resource not found');
-      }
+    this._syncQuotaFromHeader(response.headers.get('X-Rate-Limit'));
 
-      if (response.status === 429) {
-        throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-      }
+    if (response.status === 401) {
+      throw fail('Invalid API key', 401, false);
+    }
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.detail || `API error: ${response.status}`);
-      }
+    if (response.status === 404) {
+      throw fail('Resource not found', 404, false);
+    }
 
-      const data = await response.json();
-      return data.data;
-    } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Network error. Please check your connection.');
-      }
+    // Retry only when YNAB says how long to wait and it's short; the hourly
+    // limit itself won't clear within a few seconds of backoff
+    if (response.status === 429) {
+      const retryAfterMs = parseInt(response.headers.get('Retry-After')) * 1000;
+      const retryable = retryAfterMs >= 0 && retryAfterMs <= this.MAX_RETRY_AFTER_MS;
+      const error = fail('YNAB rate limit exceeded. Please wait a few minutes and try again.', 429, retryable);
+      if (retryable) error.retryAfterMs = retryAfterMs;
       throw error;
     }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw fail(error.error?.detail || `API error: ${response.status}`, response.status, response.status >= 500);
+    }
+
+    const data = await response.json();
+    return data.data;
+  },
+
+  // ==================
+  // Rate Limit Quota
+  // ==================
+
+  /**
+   * Wait for this request's turn: enforce spacing and count it against the quota
+   * Slots are handed out one at a time so concurrent callers stay spaced.
+   * With the quota used up, waits until the oldest request leaves the window
+   * if that's within MAX_QUOTA_WAIT_MS of the call, and fails otherwise, so
+   * no request sits behind the quota (or behind another waiting one) for long.
+   */
+  _acquireSlot() {
+    const deadline = Date.now() + this.MAX_QUOTA_WAIT_MS;
+    const slot = this._slotChain.then(async () => {
+      let log = this._getRequestLog();
+      while (log.length >= this.RATE_LIMIT) {
+        const freesAt = log[0] + this.RATE_WINDOW_MS;
+        if (freesAt > deadline) {
+          const error = new Error(`YNAB's hourly request limit is used up until ${new Date(freesAt).toLocaleTimeString()}. Please try again then.`);
+          error.status = 429;
+          error.retryable = false;
+          throw error;
+        }
+        this._waitingUntil = freesAt;
+        this._notifyQuota();
+        console.warn(`[YnabClient] Hourly request limit reached — waiting until ${new Date(freesAt).toLocaleTimeString()}`);
+        await new Promise(resolve => setTimeout(resolve, Math.max(freesAt - Date.now(), 0) + 50));
+        log = this._getRequestLog();
+      }
+      if (this._waitingUntil) {
+        this._waitingUntil = null;
+        this._notifyQuota();
+      }
+
+      const wait = this._lastRequestAt + this.MIN_SPACING_MS - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+      this._lastRequestAt = Date.now();
+      log.push(this._lastRequestAt);
+      this._saveRequestLog();
+    });
+    // A rejected slot must not block the ones queued behind it
+    this._slotChain = slot.catch(() => {});
+    return slot;
+  },
+
+  /**
+   * Request start times within the current window (oldest first)
+   */
+  _getRequestLog() {
+    if (!this._requestLog) {
+      this._requestLog = Storage.get(Storage.KEYS.RATE_LIMIT) || [];
+    }
+    const cutoff = Date.now() - this.RATE_WINDOW_MS;
+    while (this._requestLog.length && this._requestLog[0] <= cutoff) {
+      this._requestLog.shift();
+    }
+    return this._requestLog;
+  },
+
+  _saveRequestLog() {
+    Storage.set(Storage.KEYS.RATE_LIMIT, this._requestLog);
+    this._notifyQuota();
+  },
+
+  /**
+   * YNAB reports usage as "X-Rate-Limit: 36/200". If the server has seen more
+   * requests than we counted (other tabs, other apps on the same token),
+   * pad our log so the remaining quota isn't overstated. When those requests
+   * were made is unknown, so the padding is spread across the window and
+   * frees up gradually rather than all an hour from now.
+   */
+  _syncQuotaFromHeader(header) {
+    const match = header?.match(/^(\d+)\/(\d+)$/);
+    if (!match) return;
+
+    const used = parseInt(match[1]);
+    const log = this._getRequestLog();
+    if (used > log.length) {
+      const count = used - log.length;
+      const windowStart = Date.now() - this.RATE_WINDOW_MS;
+      const padding = Array.from({ length: count }, (_, i) => windowStart + ((i + 1) * this.RATE_WINDOW_MS) / (count + 1));
+      this._requestLog = [...padding, ...log].sort((a, b) => a - b);
+      this._saveRequestLog();
+    }
+  },
+
+  /**
+   * Current quota usage
+   * @returns {{used: number, limit: number, remaining: number, resetsAt: number|null, waitingUntil: number|null}}
+   *   resetsAt is when the oldest counted request leaves the window;
+   *   waitingUntil is set while requests are held back for the quota
+   */
+  getQuotaState() {
+    const log = this._getRequestLog();
+    return {
+      used: log.length,
+      limit: this.RATE_LIMIT,
+      remaining: Math.max(this.RATE_LIMIT - log.length, 0),
+      resetsAt: log.length ? log[0] + this.RATE_WINDOW_MS : null,
+      waitingUntil: this._waitingUntil
+    };
+  },
+
+  /**
+   * Subscribe to quota changes
+   * @param {Function} callback - Called with getQuotaState()
+   * @returns {Function} Unsubscribe function
+   */
+  onQuotaChange(callback) {
+    this._quotaListeners.add(callback);
+    return () => this._quotaListeners.delete(callback);
+  },
+
+  _notifyQuota() {
+    const state = this.getQuotaState();
+    this._quotaListeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (e) {
+        console.error('[YnabClient] Quota listener error:', e);
+      }
+    });
   },
 
   /**
@@ -146,6 +341,30 @@ const YnabClient = {
     return data.category;
   },
 
+  /**
+   * Create a category group
+   */
+  async createCategoryGroup(budgetId, name) {
+    const data = await this.request(`/budgets/${budgetId}/category_groups`, {
+      method: 'POST',
+      body: JSON.stringify({ category_group: { name } }),
+      queue: false
+    });
+    return data.category_group;
+  },
+
+  /**
+   * Create a category in an existing group
+   */
+  async createCategory(budgetId, { name, categoryGroupId }) {
+    const data = await this.request(`/budgets/${budgetId}/categories`, {
+      method: 'POST',
+      body: JSON.stringify({ category: { name, category_group_id: categoryGroupId } }),
+      queue: false
+    });
+    return data.category;
+  },
+
   // ==================
   // Months
   // ==================
@@ -168,13 +387,15 @@ const YnabClient = {
 
   /**
    * Update category budgeted amount for a month
+   * @param {object} [options.group] - { id, label } of the action this write is part of (see Outbox)
    */
-  async updateCategoryBudget(budgetId, month, categoryId, budgeted) {
+  async updateCategoryBudget(budgetId, month, categoryId, budgeted, { group = null } = {}) {
     const data = await this.request(
       `/budgets/${budgetId}/months/${month}/categories/${categoryId}`,
       {
         method: 'PATCH',
-        body: JSON.stringify({ category: { budgeted } })
+        body: JSON.stringify({ category: { budgeted } }),
+        group
       }
     );
     return data.category;
@@ -253,6 +474,36 @@ const YnabClient = {
     return data.transaction;
   },
 
+  /**
+   * Create multiple transactions in a single request
+   * Returns { transactions, duplicateImportIds }
+   * @param {object} [options.group] - { id, label } of the action this write is part of (see Outbox)
+   */
+  async createTransactions(budgetId, transactions, { group = null } = {}) {
+    const data = await this.request(`/budgets/${budgetId}/transactions`, {
+      method: 'POST',
+      body: JSON.stringify({ transactions }),
+      group
+    });
+    return {
+      transactions: data.transactions || [],
+      duplicateImportIds: data.duplicate_import_ids || []
+    };
+  },
+
+  /**
+   * Create transactions across budgets, one bulk request per budget
+   * @param {Array<{budgetId: string, transaction: object}>} entries
+   * @returns {Promise<Object>} Created transactions keyed by budget ID
+   */
+  async createTransactionsByBudget(entries) {
+    const created = {};
+    for (const [budgetId, transactions] of this.groupByBudget(entries)) {
+      created[budgetId] = (await this.createTransactions(budgetId, transactions)).transactions;
+    }
+    return created;
+  },
+
   /**
    * Update a transaction
    */
@@ -267,6 +518,45 @@ const YnabClient = {
     return data.transaction;
   },
 
+  /**
+   * Update multiple transactions in a single request
+   * Each entry must include its id alongside the fields to change
+   * @param {object} [options.group] - { id, label } of the action this write is part of (see Outbox)
+   */
+  async updateTransactions(budgetId, transactions, { group = null } = {}) {
+    const data = await this.request(`/budgets/${budgetId}/transactions`, {
+      method: 'PATCH',
+      body: JSON.stringify({ transactions }),
+      group
+    });
+    return data.transactions || [];
+  },
+
+  /**
+   * Update transactions across budgets, one bulk request per budget
+   * @param {Array<{budgetId: string, transaction: object}>} entries - Each transaction includes its id
+   * @returns {Promise<Object>} Updated transactions keyed by budget ID
+   */
+  async updateTransactionsByBudget(entries) {
+    const updated = {};
+    for (const [budgetId, transactions] of this.groupByBudget(entries)) {
+      updated[budgetId] = await this.updateTransactions(budgetId, transactions);
+    }
+    return updated;
+  },
+
+  /**
+   * Group {budgetId, transaction} entries into a Map of budgetId → transactions
+   */
+  groupByBudget(entries) {
+    const groups = new Map();
+    entries.forEach(({ budgetId, transaction }) => {
+      if (!groups.has(budgetId)) groups.set(budgetId, []);
+      groups.get(budgetId).push(transaction);
+    });
+    return groups;
+  },
+
   /**
    * Delete a transaction
    */